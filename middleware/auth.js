@@ -1,8 +1,52 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'service-connect-secret-key-2025';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Durée de vie courte : les sessions longues passent par les refresh tokens
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Fonction pour retrouver l'utilisateur actif et la session correspondant à un token
+// (partagée entre le middleware HTTP et la passerelle temps réel)
+const resolveUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  // Chaque token d'accès est rattaché à une session révocable côté serveur
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isValid() || session.userId.toString() !== decoded.userId) {
+    const error = new Error('Session expirée ou révoquée, veuillez vous reconnecter');
+    error.status = 401;
+    throw error;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    const error = new Error('Utilisateur non trouvé');
+    error.status = 401;
+    throw error;
+  }
+
+  if (!user.isActive) {
+    const error = new Error('Compte désactivé');
+    error.status = 401;
+    throw error;
+  }
+
+  if (user.isSuspended()) {
+    const error = new Error('Compte suspendu');
+    error.status = 403;
+    throw error;
+  }
+
+  return { user, session };
+};
+
+// Fonction pour extraire les informations de l'appareil d'une requête
+const getClientInfo = (req) => ({
+  ip: req.ip || (req.socket && req.socket.remoteAddress) || null,
+  userAgent: req.get('User-Agent') || ''
+});
 
 // Middleware d'authentification
 const authenticateToken = async (req, res, next) => {
@@ -17,24 +61,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({
-        error: true,
-        message: 'Utilisateur non trouvé'
-      });
-    }
+    const { user, session } = await resolveUserFromToken(token);
+    req.user = user;
+    req.authSession = session;
 
-    if (!user.isActive) {
-      return res.status(401).json({
-        error: true,
-        message: 'Compte désactivé'
-      });
-    }
+    // Dernière activité de la session (sans bloquer la requête)
+    session.touch(getClientInfo(req).ip).catch(error => {
+      console.error('Erreur lors de la mise à jour de la session:', error);
+    });
 
-    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -51,6 +86,13 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (error.status === 401 || error.status === 403) {
+      return res.status(error.status).json({
+        error: true,
+        message: error.message
+      });
+    }
+
     console.error('Erreur d\'authentification:', error);
     return res.status(500).json({
       error: true,
@@ -80,6 +122,50 @@ const requireUserType = (requiredType) => {
   };
 };
 
+// Middleware pour vérifier les permissions liées au rôle (admin, moderator)
+// Toutes les permissions listées sont requises
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: true,
+        message: 'Authentification requise'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: true,
+        message: 'Vous n\'avez pas les droits nécessaires pour cette action'
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware pour exiger un numéro de téléphone vérifié
+// (comptes créés avant la vérification par SMS : npm run grandfather-phones)
+const requireVerifiedPhone = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: true,
+      message: 'Authentification requise'
+    });
+  }
+
+  if (!req.user.isPhoneVerified) {
+    return res.status(403).json({
+      error: true,
+      code: 'PHONE_NOT_VERIFIED',
+      message: 'Veuillez vérifier votre numéro de téléphone pour effectuer cette action'
+    });
+  }
+
+  next();
+};
+
 // Middleware pour vérifier que l'utilisateur peut modifier une ressource
 const requireOwnership = (Model, param = 'id') => {
   return async (req, res, next) => {
@@ -113,15 +199,32 @@ const requireOwnership = (Model, param = 'id') => {
   };
 };
 
-// Fonction pour générer un token JWT
-const generateToken = (userId) => {
+// Fonction pour générer un token d'accès JWT rattaché à une session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRES_IN }
   );
 };
 
+// Fonction pour ouvrir une session et générer la paire de tokens
+// (req permet d'enregistrer l'appareil, l'IP et le User-Agent de la session)
+const issueTokens = async (userId, { rememberMe = false, deviceName = null, req = null } = {}) => {
+  const { session, refreshToken } = await Session.start(userId, {
+    rememberMe,
+    deviceName: typeof deviceName === 'string' ? deviceName.trim().substring(0, 100) : null,
+    ...(req && getClientInfo(req))
+  });
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+    expiresIn: JWT_EXPIRES_IN,
+    session
+  };
+};
+
 // Fonction pour décoder un token sans vérification (pour debug)
 const decodeToken = (token) => {
   try {
@@ -138,12 +241,9 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
-      }
+      const { user, session } = await resolveUserFromToken(token);
+      req.user = user;
+      req.authSession = session;
     }
     
     next();
@@ -155,9 +255,14 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  resolveUserFromToken,
   requireUserType,
+  requirePermission,
+  requireVerifiedPhone,
   requireOwnership,
   generateToken,
+  issueTokens,
+  getClientInfo,
   decodeToken,
   optionalAuth,
   JWT_SECRET,
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Types de contenus visés par les actions journalisées
+const TARGET_TYPES = ['User', 'Service', 'Message', 'Review', 'Report', 'Payment', 'Payout', 'VerificationDocument'];
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'auteur de l\'action est obligatoire']
+  },
+  actorName: {
+    type: String,
+    required: true
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: [true, 'L\'action est obligatoire'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Le type de cible est obligatoire'],
+    enum: TARGET_TYPES
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'La cible est obligatoire']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La raison ne peut pas dépasser 500 caractères'],
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index pour optimiser les recherches
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Méthode statique pour journaliser une action de l'équipe de modération
+auditLogSchema.statics.record = function(actor, action, targetType, targetId, reason = '', metadata = {}) {
+  return this.create({
+    actorId: actor._id,
+    actorName: `${actor.firstName} ${actor.lastName}`,
+    actorRole: actor.role,
+    action,
+    targetType,
+    targetId,
+    reason,
+    metadata
+  });
+};
+
+auditLogSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
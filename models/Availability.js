@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { TIME_PATTERN, DATE_PATTERN, isValidTimeZone, validateRanges } = require('../utils/schedule');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Paris';
+
+// Plage horaire en heure locale du prestataire
+const rangeDefinition = {
+  start: {
+    type: String,
+    required: [true, 'L\'heure de début est obligatoire'],
+    match: [TIME_PATTERN, 'Heure de début invalide (HH:MM)']
+  },
+  end: {
+    type: String,
+    required: [true, 'L\'heure de fin est obligatoire'],
+    match: [TIME_PATTERN, 'Heure de fin invalide (HH:MM)']
+  }
+};
+
+const availabilitySchema = new mongoose.Schema({
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du prestataire est obligatoire'],
+    unique: true
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Fuseau horaire invalide'
+    }
+  },
+  // Horaires hebdomadaires (0 = dimanche, 6 = samedi)
+  weekly: [{
+    _id: false,
+    day: {
+      type: Number,
+      required: [true, 'Le jour est obligatoire'],
+      min: 0,
+      max: 6
+    },
+    ...rangeDefinition
+  }],
+  // Exceptions ponctuelles : jours fermés (congés) ou horaires spécifiques
+  exceptions: [{
+    _id: false,
+    date: {
+      type: String,
+      required: [true, 'La date est obligatoire'],
+      match: [DATE_PATTERN, 'Date invalide (YYYY-MM-DD)']
+    },
+    closed: {
+      type: Boolean,
+      default: true
+    },
+    ranges: [{
+      _id: false,
+      ...rangeDefinition
+    }],
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Le motif ne peut pas dépasser 200 caractères'],
+      default: ''
+    }
+  }],
+  // Pas entre deux débuts de créneaux (minutes)
+  slotInterval: {
+    type: Number,
+    default: 30,
+    min: [5, 'L\'intervalle doit être d\'au moins 5 minutes'],
+    max: [240, 'L\'intervalle ne peut pas dépasser 240 minutes']
+  },
+  // Temps de battement autour de chaque réservation (minutes)
+  bufferMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 240
+  },
+  // Délai minimum avant un créneau réservable (heures)
+  minNoticeHours: {
+    type: Number,
+    default: 2,
+    min: 0,
+    max: 720
+  },
+  // Horizon de réservation (jours)
+  maxAdvanceDays: {
+    type: Number,
+    default: 90,
+    min: 1,
+    max: 365
+  }
+}, {
+  timestamps: true
+});
+
+// Vérifier la cohérence des plages horaires
+availabilitySchema.pre('validate', function(next) {
+  for (let day = 0; day <= 6; day++) {
+    if (!validateRanges(this.weekly.filter(range => range.day === day))) {
+      this.invalidate('weekly', 'Les plages horaires d\'un même jour doivent être valides et ne pas se chevaucher');
+      break;
+    }
+  }
+
+  const dates = new Set();
+  this.exceptions.forEach((exception, index) => {
+    if (dates.has(exception.date)) {
+      this.invalidate(`exceptions.${index}.date`, 'Une seule exception par date');
+    }
+    dates.add(exception.date);
+
+    if (!exception.closed && (exception.ranges.length === 0 || !validateRanges(exception.ranges))) {
+      this.invalidate(`exceptions.${index}.ranges`, 'Plages horaires de l\'exception invalides');
+    }
+  });
+
+  next();
+});
+
+// Méthode pour obtenir les plages ouvertes d'une date locale (exceptions prioritaires)
+availabilitySchema.methods.getRangesForDate = function(date, weekday) {
+  const exception = this.exceptions.find(entry => entry.date === date);
+
+  if (exception) {
+    return exception.closed ? [] : exception.ranges;
+  }
+
+  return this.weekly.filter(range => range.day === weekday);
+};
+
+// Méthode pour ajouter ou remplacer l'exception d'une date
+availabilitySchema.methods.setException = function({ date, closed = true, ranges = [], reason = '' }) {
+  this.exceptions = this.exceptions.filter(entry => entry.date !== date);
+  this.exceptions.push({ date, closed, ranges: closed ? [] : ranges, reason });
+  this.exceptions.sort((a, b) => a.date.localeCompare(b.date));
+  return this;
+};
+
+// Méthode pour retirer l'exception d'une date
+availabilitySchema.methods.removeException = function(date) {
+  const count = this.exceptions.length;
+  this.exceptions = this.exceptions.filter(entry => entry.date !== date);
+  return this.exceptions.length !== count;
+};
+
+// Méthode pour formatter le calendrier dans les réponses de l'API
+availabilitySchema.methods.toPublic = function() {
+  return {
+    timezone: this.timezone,
+    weekly: this.weekly.map(range => ({ day: range.day, start: range.start, end: range.end })),
+    exceptions: this.exceptions.map(exception => ({
+      date: exception.date,
+      closed: exception.closed,
+      ranges: exception.ranges.map(range => ({ start: range.start, end: range.end })),
+      reason: exception.reason
+    })),
+    slotInterval: this.slotInterval,
+    bufferMinutes: this.bufferMinutes,
+    minNoticeHours: this.minNoticeHours,
+    maxAdvanceDays: this.maxAdvanceDays,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Méthode statique pour obtenir le calendrier d'un prestataire (non enregistré s'il n'existe pas)
+availabilitySchema.statics.getForProvider = async function(providerId) {
+  const availability = await this.findOne({ providerId });
+  return availability || new this({ providerId });
+};
+
+availabilitySchema.statics.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+module.exports = mongoose.model('Availability', availabilitySchema);
@@ -44,7 +44,12 @@ const conversationSchema = new mongoose.Schema({
     type: Map,
     of: Number,
     default: {}
-  }
+  },
+  // Participants ayant mis la conversation en sourdine (pas de notification)
+  mutedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
 }, {
   timestamps: true
 });
@@ -75,6 +80,37 @@ conversationSchema.methods.hasParticipant = function(userId) {
   return this.participants.some(p => p.userId.toString() === userId.toString());
 };
 
+// Méthode pour vérifier si un participant a mis la conversation en sourdine
+conversationSchema.methods.isMutedBy = function(userId) {
+  return (this.mutedBy || []).some(id => id.toString() === userId.toString());
+};
+
+// Méthode pour activer ou désactiver la sourdine pour un participant
+conversationSchema.methods.setMuted = function(userId, muted) {
+  this.mutedBy = (this.mutedBy || []).filter(id => id.toString() !== userId.toString());
+  if (muted) {
+    this.mutedBy.push(userId);
+  }
+  return this.save();
+};
+
+// Méthode pour obtenir l'autre participant d'une conversation à deux
+conversationSchema.methods.getOtherParticipantId = function(userId) {
+  const other = this.participants.find(p => {
+    const id = p.userId._id || p.userId;
+    return id.toString() !== userId.toString();
+  });
+  if (!other) return null;
+  return other.userId._id || other.userId;
+};
+
+// Méthode pour vérifier si l'un des participants a bloqué l'autre (conversation masquée)
+conversationSchema.methods.isBlockedFor = async function(userId) {
+  const otherParticipantId = this.getOtherParticipantId(userId);
+  if (!otherParticipantId) return false;
+  return mongoose.model('User').isBlockedBetween(userId, otherParticipantId);
+};
+
 // Méthode pour mettre à jour le dernier message
 conversationSchema.methods.updateLastMessage = function(content, senderId) {
   this.lastMessage = {
@@ -112,9 +148,16 @@ conversationSchema.statics.findBetweenUsers = function(userId1, userId2) {
 };
 
 // Méthode statique pour obtenir les conversations d'un utilisateur
-conversationSchema.statics.getForUser = function(userId) {
+// (les conversations avec des utilisateurs bloqués sont exclues)
+conversationSchema.statics.getForUser = async function(userId) {
+  const User = mongoose.model('User');
+  const blockedIds = await User.getBlockedRelations(userId);
+
   return this.find({
-    'participants.userId': userId,
+    $and: [
+      { 'participants.userId': userId },
+      { 'participants.userId': { $nin: blockedIds } }
+    ],
     isActive: true
   })
   .populate('participants.userId', 'firstName lastName avatar')
@@ -138,4 +181,54 @@ conversationSchema.statics.createConversation = function(user1, user2, serviceId
   });
 };
 
+// Méthode statique pour retrouver ou créer la conversation liée à un service
+conversationSchema.statics.findOrCreateForService = async function(client, provider, service) {
+  const existing = await this.findBetweenUsers(client._id, provider._id);
+  if (existing) {
+    // Rattacher le service si la conversation n'en avait pas encore
+    if (!existing.serviceId) {
+      existing.serviceId = service._id;
+      existing.serviceTitle = service.title;
+      await existing.save();
+    }
+    return existing;
+  }
+
+  return this.createConversation(client, provider, service._id, service.title);
+};
+
+// Méthode pour publier un message système dans la conversation
+conversationSchema.methods.postSystemMessage = async function(sender, content) {
+  const Message = mongoose.model('Message');
+
+  const message = await Message.create({
+    conversationId: this._id,
+    senderId: sender._id,
+    senderName: `${sender.firstName} ${sender.lastName}`,
+    content,
+    messageType: 'system'
+  });
+
+  await this.updateLastMessage(content, sender._id);
+  return message;
+};
+
+// Méthode pour publier un devis dans la conversation
+conversationSchema.methods.postQuoteMessage = async function(sender, quote) {
+  const Message = mongoose.model('Message');
+  const content = quote.getMessageContent();
+
+  const message = await Message.create({
+    conversationId: this._id,
+    senderId: sender._id,
+    senderName: `${sender.firstName} ${sender.lastName}`,
+    content,
+    messageType: 'quote',
+    quoteId: quote._id
+  });
+
+  await this.updateLastMessage(content, sender._id);
+  return message;
+};
+
 module.exports = mongoose.model('Conversation', conversationSchema);
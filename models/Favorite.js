@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['Service', 'User'];
+
+const favoriteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID utilisateur est obligatoire']
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Le type de favori est obligatoire'],
+    enum: {
+      values: TARGET_TYPES,
+      message: 'Type de favori invalide'
+    }
+  },
+  // Service ou prestataire mis en favori
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Le favori est obligatoire'],
+    refPath: 'targetType'
+  }
+}, {
+  timestamps: true
+});
+
+// Un même contenu ne peut être mis en favori qu'une fois
+favoriteSchema.index({ userId: 1, targetType: 1, targetId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, createdAt: -1 });
+
+// Méthode statique pour ajouter un favori (sans erreur s'il existe déjà)
+favoriteSchema.statics.addFavorite = function(userId, targetType, targetId) {
+  return this.findOneAndUpdate(
+    { userId, targetType, targetId },
+    { $setOnInsert: { userId, targetType, targetId } },
+    { upsert: true, new: true }
+  );
+};
+
+// Méthode statique pour retirer un favori
+favoriteSchema.statics.removeFavorite = function(userId, targetType, targetId) {
+  return this.deleteOne({ userId, targetType, targetId });
+};
+
+// Méthode statique pour savoir quels contenus d'une liste sont en favoris
+favoriteSchema.statics.getFavoriteIds = async function(userId, targetType, targetIds) {
+  const favorites = await this.find({
+    userId,
+    targetType,
+    targetId: { $in: targetIds }
+  }).select('targetId');
+
+  return new Set(favorites.map(favorite => favorite.targetId.toString()));
+};
+
+favoriteSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Unités affichées selon le type de prix du service
+const PRICE_TYPE_UNITS = {
+  heure: 'heure',
+  jour: 'jour',
+  fixe: 'forfait',
+  negociable: 'forfait'
+};
+
+const invoiceSchema = new mongoose.Schema({
+  // Numéro séquentiel par année (FAC-2026-000001), attribué juste après l'enregistrement
+  // de la facture pour ne jamais laisser de trou dans la numérotation
+  number: {
+    type: String
+  },
+  // Numérotation en cours : réservée par un seul appelant avant de consommer un numéro
+  numberingAt: {
+    type: Date,
+    default: null
+  },
+  serviceRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    required: [true, 'L\'ID de la demande est obligatoire'],
+    unique: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  provider: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    phone: {
+      type: String,
+      default: ''
+    },
+    location: {
+      type: String,
+      default: ''
+    }
+  },
+  client: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    address: {
+      type: String,
+      default: ''
+    }
+  },
+  service: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      default: null
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    category: {
+      type: String,
+      default: ''
+    },
+    priceType: {
+      type: String,
+      default: ''
+    }
+  },
+  // Lignes de facturation (prix unitaires TTC)
+  lines: [{
+    _id: false,
+    description: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true
+    },
+    unit: {
+      type: String,
+      default: 'forfait'
+    },
+    unitPrice: {
+      type: Number,
+      required: true
+    },
+    total: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Montants : total TTC, dont TVA au taux indiqué
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  serviceDate: {
+    type: Date,
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Date d'encaissement (facture acquittée)
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  // Document PDF généré à l'émission (non exposé publiquement)
+  pdf: {
+    type: Buffer,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Numéros uniques (les factures en cours de numérotation n'en ont pas encore)
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+
+// Index pour optimiser les recherches
+invoiceSchema.index({ 'provider.id': 1, issuedAt: -1 });
+invoiceSchema.index({ 'client.id': 1, issuedAt: -1 });
+
+// Méthode pour connaître le rôle d'un utilisateur sur la facture
+invoiceSchema.methods.getRole = function(userId) {
+  if (this.client.id.toString() === userId.toString()) return 'client';
+  if (this.provider.id.toString() === userId.toString()) return 'provider';
+  return null;
+};
+
+// Méthode pour vérifier si un utilisateur est partie prenante
+invoiceSchema.methods.involves = function(userId) {
+  return this.getRole(userId) !== null;
+};
+
+// Méthode pour formatter la facture dans les réponses de l'API
+invoiceSchema.methods.toPublic = function(userId = null) {
+  return {
+    id: this._id,
+    number: this.number,
+    role: userId ? this.getRole(userId) : undefined,
+    serviceRequestId: this.serviceRequestId,
+    paymentId: this.paymentId,
+    provider: {
+      id: this.provider.id,
+      name: this.provider.name,
+      location: this.provider.location
+    },
+    client: {
+      id: this.client.id,
+      name: this.client.name,
+      address: this.client.address
+    },
+    service: {
+      id: this.service.id,
+      title: this.service.title,
+      category: this.service.category,
+      priceType: this.service.priceType
+    },
+    lines: this.lines.map(line => ({
+      description: line.description,
+      quantity: line.quantity,
+      unit: line.unit,
+      unitPrice: line.unitPrice,
+      total: line.total
+    })),
+    subtotal: this.subtotal,
+    taxRate: this.taxRate,
+    taxAmount: this.taxAmount,
+    total: this.total,
+    currency: this.currency,
+    serviceDate: this.serviceDate,
+    issuedAt: this.issuedAt,
+    paidAt: this.paidAt,
+    pdfUrl: `/api/invoices/${this._id}.pdf`
+  };
+};
+
+// Méthode statique pour obtenir le prochain numéro de facture de l'année
+invoiceSchema.statics.nextNumber = async function(date = new Date()) {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`invoice-${year}`);
+  return `FAC-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+invoiceSchema.statics.PRICE_TYPE_UNITS = PRICE_TYPE_UNITS;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
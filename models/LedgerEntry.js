@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+
+// Comptes du grand livre (comptabilité en partie double)
+// cash : fonds détenus par la plateforme chez les fournisseurs de paiement
+// escrow : paiements clients sous séquestre
+// provider_pending : gains des prestataires en attente (délai de sécurité)
+// provider_available : gains disponibles pour un versement
+// provider_payout : versements demandés, pas encore effectués
+// platform_commission : commission de la plateforme
+const ACCOUNTS = [
+  'cash',
+  'escrow',
+  'provider_pending',
+  'provider_available',
+  'provider_payout',
+  'platform_commission'
+];
+
+// Comptes propres à un prestataire (userId obligatoire)
+const PROVIDER_ACCOUNTS = ['provider_pending', 'provider_available', 'provider_payout'];
+
+const TYPES = [
+  'payment',
+  'release',
+  'settlement',
+  'refund',
+  'payout_request',
+  'payout_paid',
+  'payout_reversal'
+];
+
+// Fonction pour arrondir un montant au centime
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: TYPES
+  },
+  // Référence unique de l'écriture (rend l'enregistrement idempotent)
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lines: [{
+    _id: false,
+    account: {
+      type: String,
+      required: true,
+      enum: ACCOUNTS
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  // Prestataire concerné par l'écriture
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  serviceRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    default: null
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Détail d'une prestation terminée (écritures "release")
+  gross: {
+    type: Number,
+    default: null
+  },
+  commission: {
+    type: Number,
+    default: null
+  },
+  net: {
+    type: Number,
+    default: null
+  },
+  // Part des gains déjà reprise par des remboursements
+  refundedNet: {
+    type: Number,
+    default: 0
+  },
+  // Date à laquelle les gains deviennent disponibles, et date de leur transfert
+  availableAt: {
+    type: Date,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+ledgerEntrySchema.index({ 'lines.userId': 1, 'lines.account': 1 });
+ledgerEntrySchema.index({ providerId: 1, type: 1, createdAt: -1 });
+ledgerEntrySchema.index({ type: 1, settledAt: 1, availableAt: 1 });
+
+// Vérifier que l'écriture est équilibrée (total des débits = total des crédits)
+ledgerEntrySchema.pre('validate', function(next) {
+  const debits = roundAmount(this.lines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundAmount(this.lines.reduce((sum, line) => sum + line.credit, 0));
+
+  if (this.lines.length < 2 || debits !== credits || debits === 0) {
+    this.invalidate('lines', 'L\'écriture doit être équilibrée');
+  }
+
+  this.lines.forEach((line, index) => {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      this.invalidate(`lines.${index}`, 'Chaque ligne doit être soit un débit, soit un crédit');
+    }
+    if (PROVIDER_ACCOUNTS.includes(line.account) && !line.userId) {
+      this.invalidate(`lines.${index}.userId`, 'Le prestataire est obligatoire pour ce compte');
+    }
+  });
+
+  next();
+});
+
+// Méthode statique pour enregistrer une écriture (renvoie l'existante si la référence est déjà utilisée)
+ledgerEntrySchema.statics.post = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return this.findOne({ reference: entry.reference });
+    }
+    throw error;
+  }
+};
+
+// Méthode statique pour calculer les soldes des comptes d'un prestataire
+// (comptes de passif : solde = crédits - débits)
+ledgerEntrySchema.statics.getBalances = async function(providerId) {
+  const results = await this.aggregate([
+    { $match: { 'lines.userId': providerId } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.userId': providerId, 'lines.account': { $in: PROVIDER_ACCOUNTS } } },
+    {
+      $group: {
+        _id: '$lines.account',
+        balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+      }
+    }
+  ]);
+
+  const balances = {};
+  PROVIDER_ACCOUNTS.forEach(account => {
+    const result = results.find(item => item._id === account);
+    balances[account] = roundAmount(result ? result.balance : 0);
+  });
+
+  return balances;
+};
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+ledgerEntrySchema.statics.TYPES = TYPES;
+ledgerEntrySchema.statics.roundAmount = roundAmount;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
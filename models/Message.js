@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const appEvents = require('../utils/events');
 
 const messageSchema = new mongoose.Schema({
   conversationId: {
@@ -23,15 +24,22 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'system'],
+    enum: ['text', 'image', 'file', 'system', 'quote'],
     default: 'text'
   },
+  // Devis affiché dans le fil (messageType "quote")
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
   attachments: [{
     type: {
       type: String,
       enum: ['image', 'file']
     },
     url: String,
+    thumbnailUrl: String,
     filename: String,
     size: Number
   }],
@@ -43,6 +51,16 @@ const messageSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Masqué par la modération suite à des signalements
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Masqué automatiquement après plusieurs signalements (rétabli si les signalements sont rejetés)
+  autoHidden: {
+    type: Boolean,
+    default: false
+  },
   isEdited: {
     type: Boolean,
     default: false
@@ -66,6 +84,12 @@ messageSchema.index({ senderId: 1 });
 messageSchema.index({ isRead: 1 });
 messageSchema.index({ createdAt: -1 });
 
+// Mémoriser si le message est nouveau pour le hook post-save
+messageSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
 // Middleware pour mettre à jour la conversation lors de l'ajout d'un message
 messageSchema.post('save', async function() {
   try {
@@ -84,6 +108,10 @@ messageSchema.post('save', async function() {
   } catch (error) {
     console.error('Erreur lors de la mise à jour de la conversation:', error);
   }
+
+  if (this.$locals.wasNew) {
+    appEvents.emit('message:created', this);
+  }
 });
 
 // Méthode pour marquer comme lu
@@ -102,18 +130,20 @@ messageSchema.methods.editContent = function(newContent) {
 };
 
 // Méthode statique pour obtenir les messages d'une conversation
-messageSchema.statics.getForConversation = function(conversationId, limit = 50, skip = 0) {
-  return this.find({ conversationId })
+messageSchema.statics.getForConversation = function(conversationId, limit = 50, skip = 0, criteria = {}) {
+  return this.find({ ...criteria, conversationId })
     .populate('senderId', 'firstName lastName avatar')
     .populate('replyTo', 'content senderName')
-    .sort({ createdAt: -1 })
+    .populate('quoteId')
+    .sort({ createdAt: -1, _id: -1 })
     .limit(limit)
     .skip(skip);
 };
 
 // Méthode statique pour marquer tous les messages d'une conversation comme lus
-messageSchema.statics.markConversationAsRead = function(conversationId, userId) {
-  return this.updateMany(
+messageSchema.statics.markConversationAsRead = async function(conversationId, userId) {
+  const readAt = new Date();
+  const result = await this.updateMany(
     { 
       conversationId, 
       senderId: { $ne: userId },
@@ -122,10 +152,17 @@ messageSchema.statics.markConversationAsRead = function(conversationId, userId)
     { 
       $set: { 
         isRead: true, 
-        readAt: new Date() 
+        readAt 
       } 
     }
   );
+
+  // Accusés de lecture pour les autres participants
+  if (result.modifiedCount > 0) {
+    appEvents.emit('messages:read', { conversationId, userId, readAt });
+  }
+
+  return result;
 };
 
 // Méthode statique pour compter les messages non lus d'un utilisateur
@@ -165,7 +202,8 @@ messageSchema.statics.getUnreadCount = function(userId) {
 messageSchema.statics.searchInConversation = function(conversationId, query) {
   return this.find({
     conversationId,
-    content: { $regex: query, $options: 'i' }
+    content: { $regex: query, $options: 'i' },
+    isHidden: { $ne: true }
   })
   .populate('senderId', 'firstName lastName')
   .sort({ createdAt: -1 })
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const appEvents = require('../utils/events');
+
+const TYPES = [
+  'message',
+  'service_request',
+  'request_update',
+  'review',
+  'account',
+  'saved_search',
+  'quote',
+  'payment'
+];
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID utilisateur est obligatoire']
+  },
+  type: {
+    type: String,
+    required: [true, 'Le type de notification est obligatoire'],
+    enum: {
+      values: TYPES,
+      message: 'Type de notification invalide'
+    }
+  },
+  title: {
+    type: String,
+    required: [true, 'Le titre de la notification est obligatoire'],
+    trim: true,
+    maxlength: [150, 'Le titre ne peut pas dépasser 150 caractères']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Le contenu ne peut pas dépasser 500 caractères'],
+    default: ''
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+
+// Méthode pour marquer comme lue
+notificationSchema.methods.markAsRead = function() {
+  this.isRead = true;
+  this.readAt = new Date();
+  return this.save();
+};
+
+// Méthode pour formatter la notification dans les réponses de l'API
+notificationSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    body: this.body,
+    data: this.data,
+    isRead: this.isRead,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Méthode statique pour créer une notification en respectant les préférences
+notificationSchema.statics.notify = async function(userId, type, { title, body = '', data = {} }) {
+  const User = mongoose.model('User');
+  const user = await User.findById(userId).select('isActive notificationPreferences');
+
+  if (!user || !user.isActive) return null;
+
+  if (!user.wantsNotification(type)) return null;
+
+  const notification = await this.create({
+    userId,
+    type,
+    title: title.substring(0, 150),
+    body: body.substring(0, 500),
+    data
+  });
+
+  appEvents.emit('notification:created', notification);
+  return notification;
+};
+
+// Méthode statique pour obtenir les notifications d'un utilisateur
+notificationSchema.statics.getForUser = function(userId, unreadOnly = false, limit = 20, skip = 0) {
+  const criteria = { userId };
+  if (unreadOnly) criteria.isRead = false;
+
+  return this.find(criteria)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+};
+
+// Méthode statique pour compter les notifications non lues
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ userId, isRead: false });
+};
+
+// Méthode statique pour tout marquer comme lu
+notificationSchema.statics.markAllAsRead = function(userId) {
+  return this.updateMany(
+    { userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+notificationSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
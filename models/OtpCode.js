@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const CODE_LENGTH = 6;
+const CODE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_ATTEMPTS = 5; // tentatives de saisie par code
+const RESEND_WINDOW = 15 * 60 * 1000; // fenêtre de limitation des envois
+const MAX_SENDS_PER_WINDOW = 3; // codes envoyés par numéro et par fenêtre
+
+const otpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: [true, 'Le numéro de téléphone est obligatoire'],
+    trim: true
+  },
+  purpose: {
+    type: String,
+    required: [true, 'L\'usage du code est obligatoire'],
+    enum: ['password_reset', 'phone_verification']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Suppression automatique des codes une heure après expiration
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+// Fonction pour hasher un code (jamais stocké en clair)
+const hashCode = (phone, code) => crypto
+  .createHash('sha256')
+  .update(`${phone}:${code}`)
+  .digest('hex');
+
+// Fonction pour générer un code numérique aléatoire
+const generateCode = () => crypto
+  .randomInt(0, 10 ** CODE_LENGTH)
+  .toString()
+  .padStart(CODE_LENGTH, '0');
+
+// Méthode statique pour émettre un nouveau code (invalide les précédents)
+otpCodeSchema.statics.issue = async function(phone, purpose, userId = null) {
+  const recentSends = await this.countDocuments({
+    phone,
+    purpose,
+    createdAt: { $gte: new Date(Date.now() - RESEND_WINDOW) }
+  });
+
+  if (recentSends >= MAX_SENDS_PER_WINDOW) {
+    const error = new Error('Trop de codes demandés, veuillez réessayer plus tard');
+    error.status = 429;
+    throw error;
+  }
+
+  await this.updateMany(
+    { phone, purpose, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  const code = generateCode();
+  const otp = await this.create({
+    phone,
+    purpose,
+    userId,
+    codeHash: hashCode(phone, code),
+    expiresAt: new Date(Date.now() + CODE_TTL)
+  });
+
+  return { code, otp };
+};
+
+// Méthode statique pour vérifier un code saisi
+// Retourne { status: 'valid' | 'invalid' | 'expired' | 'locked', otp }
+otpCodeSchema.statics.verify = async function(phone, purpose, code) {
+  const current = await this.findOne({ phone, purpose, consumedAt: null })
+    .sort({ createdAt: -1 });
+
+  if (!current || current.expiresAt <= new Date()) {
+    return { status: 'expired', otp: current };
+  }
+
+  // Compter la tentative avant la comparaison (incrément atomique : pas de contournement
+  // de la limite par des essais simultanés)
+  const otp = await this.findOneAndUpdate(
+    { _id: current._id, consumedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    return { status: 'locked', otp: current };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const received = Buffer.from(hashCode(phone, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    // Bloquer définitivement le code à la dernière tentative
+    if (otp.attempts >= MAX_ATTEMPTS) {
+      await this.updateOne({ _id: otp._id }, { $set: { consumedAt: new Date() } });
+    }
+    return {
+      status: otp.attempts >= MAX_ATTEMPTS ? 'locked' : 'invalid',
+      otp,
+      remainingAttempts: Math.max(MAX_ATTEMPTS - otp.attempts, 0)
+    };
+  }
+
+  // Un code ne peut être utilisé qu'une fois, même en cas de requêtes simultanées
+  const consumed = await this.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!consumed) {
+    return { status: 'expired', otp };
+  }
+
+  return { status: 'valid', otp: consumed };
+};
+
+otpCodeSchema.statics.CODE_TTL = CODE_TTL;
+otpCodeSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+
+// pending : en attente de confirmation du fournisseur
+// held : fonds encaissés et bloqués sur la plateforme (séquestre)
+// released : fonds débloqués au prestataire à la fin de la prestation
+const STATUSES = ['pending', 'held', 'released', 'refunded', 'failed', 'cancelled'];
+
+// Statuts d'un paiement encore actif pour une demande
+const ACTIVE_STATUSES = ['pending', 'held', 'released'];
+
+// Statuts permettant un remboursement
+const REFUNDABLE_STATUSES = ['held', 'released'];
+
+const paymentSchema = new mongoose.Schema({
+  serviceRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    required: [true, 'L\'ID de la demande est obligatoire']
+  },
+  serviceTitle: {
+    type: String,
+    required: [true, 'Le titre du service est obligatoire']
+  },
+  // Client qui paie
+  payerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du payeur est obligatoire']
+  },
+  // Prestataire bénéficiaire
+  payeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du bénéficiaire est obligatoire']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Le montant est obligatoire'],
+    min: [0.5, 'Le montant minimum est de 0,50 €']
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  provider: {
+    type: String,
+    required: [true, 'Le fournisseur de paiement est obligatoire']
+  },
+  // Identifiant du paiement chez le fournisseur
+  providerRef: {
+    type: String,
+    default: null
+  },
+  // Étape à réaliser côté client (client secret, validation mobile...)
+  nextAction: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    refundRef: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    reason: {
+      type: String,
+      maxlength: 500,
+      default: ''
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Montant des remboursements demandés mais pas encore confirmés
+  pendingRefundAmount: {
+    type: Number,
+    default: 0
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  heldAt: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+paymentSchema.index({ serviceRequestId: 1, status: 1 });
+// Un seul paiement actif par demande (protège contre les créations simultanées)
+paymentSchema.index(
+  { serviceRequestId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+);
+paymentSchema.index({ payerId: 1, createdAt: -1 });
+paymentSchema.index({ payeeId: 1, createdAt: -1 });
+paymentSchema.index({ provider: 1, providerRef: 1 }, { unique: true, partialFilterExpression: { providerRef: { $type: 'string' } } });
+
+// Méthode pour connaître le rôle d'un utilisateur dans le paiement
+paymentSchema.methods.getRole = function(userId) {
+  if (this.payerId.toString() === userId.toString()) return 'payer';
+  if (this.payeeId.toString() === userId.toString()) return 'payee';
+  return null;
+};
+
+// Méthode pour vérifier si un utilisateur est partie prenante
+paymentSchema.methods.involves = function(userId) {
+  return this.getRole(userId) !== null;
+};
+
+// Méthode pour obtenir le montant encore remboursable
+paymentSchema.methods.getRefundableAmount = function() {
+  if (!REFUNDABLE_STATUSES.includes(this.status)) return 0;
+  return Math.round((this.amount - this.refundedAmount - this.pendingRefundAmount) * 100) / 100;
+};
+
+// Méthode pour formatter le paiement dans les réponses de l'API
+paymentSchema.methods.toPublic = function(userId = null) {
+  const role = userId ? this.getRole(userId) : null;
+
+  return {
+    id: this._id,
+    serviceRequestId: this.serviceRequestId,
+    serviceTitle: this.serviceTitle,
+    payerId: this.payerId,
+    payeeId: this.payeeId,
+    role: role || undefined,
+    amount: this.amount,
+    currency: this.currency,
+    provider: this.provider,
+    status: this.status,
+    // L'étape suivante (client secret...) n'est transmise qu'au payeur
+    nextAction: role === 'payer' && this.status === 'pending' ? this.nextAction : undefined,
+    refunds: this.refunds.map(refund => ({
+      id: refund._id,
+      amount: refund.amount,
+      status: refund.status,
+      reason: refund.reason,
+      createdAt: refund.createdAt
+    })),
+    refundedAmount: this.refundedAmount,
+    refundableAmount: this.getRefundableAmount(),
+    failureReason: this.failureReason || undefined,
+    heldAt: this.heldAt,
+    releasedAt: this.releasedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Méthode statique pour changer de statut de manière atomique
+// (renvoie null si le paiement n'est plus dans un des statuts attendus)
+paymentSchema.statics.transition = function(paymentId, fromStatuses, update) {
+  return this.findOneAndUpdate(
+    { _id: paymentId, status: { $in: fromStatuses } },
+    update,
+    { new: true }
+  );
+};
+
+// Méthode statique pour trouver le paiement actif d'une demande
+paymentSchema.statics.findActiveForRequest = function(serviceRequestId) {
+  return this.findOne({
+    serviceRequestId,
+    status: { $in: ACTIVE_STATUSES }
+  });
+};
+
+paymentSchema.statics.STATUSES = STATUSES;
+paymentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+paymentSchema.statics.REFUNDABLE_STATUSES = REFUNDABLE_STATUSES;
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+// requested : demandé par le prestataire (annulable)
+// processing : pris en charge par l'équipe, virement en cours
+// paid : versement effectué ; rejected / cancelled : montant recrédité
+const STATUSES = ['requested', 'processing', 'paid', 'rejected', 'cancelled'];
+
+// Statuts d'un versement encore en cours
+const OPEN_STATUSES = ['requested', 'processing'];
+
+const METHODS = ['bank_transfer', 'mobile_money'];
+
+const payoutSchema = new mongoose.Schema({
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du prestataire est obligatoire']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Le montant est obligatoire'],
+    min: [0.01, 'Le montant doit être positif']
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  method: {
+    type: String,
+    required: [true, 'Le moyen de versement est obligatoire'],
+    enum: {
+      values: METHODS,
+      message: 'Moyen de versement invalide'
+    }
+  },
+  // IBAN ou numéro de téléphone du compte de destination
+  accountReference: {
+    type: String,
+    required: [true, 'Le compte de destination est obligatoire'],
+    trim: true,
+    maxlength: [50, 'Le compte de destination ne peut pas dépasser 50 caractères']
+  },
+  accountHolder: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Le titulaire ne peut pas dépasser 100 caractères'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'requested'
+  },
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+      default: ''
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Référence du virement (renseignée au paiement)
+  transferReference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+payoutSchema.index({ providerId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+
+// Historiser le statut initial
+payoutSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.providerId
+    });
+  }
+  next();
+});
+
+// Méthode pour masquer le compte de destination (4 derniers caractères visibles)
+payoutSchema.methods.getMaskedAccount = function() {
+  const reference = this.accountReference.replace(/\s+/g, '');
+  return `${'•'.repeat(Math.max(reference.length - 4, 0))}${reference.slice(-4)}`;
+};
+
+// Méthode pour formatter le versement dans les réponses de l'API
+payoutSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    providerId: this.providerId,
+    amount: this.amount,
+    currency: this.currency,
+    method: this.method,
+    account: this.getMaskedAccount(),
+    accountHolder: this.accountHolder,
+    status: this.status,
+    statusHistory: this.statusHistory.map(entry => ({
+      status: entry.status,
+      note: entry.note,
+      changedAt: entry.changedAt
+    })),
+    transferReference: this.transferReference || undefined,
+    paidAt: this.paidAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Méthode statique pour changer de statut de manière atomique
+// (renvoie null si le versement n'est plus dans un des statuts attendus)
+payoutSchema.statics.transition = function(payoutId, fromStatuses, status, changedBy, note = '', extra = {}) {
+  return this.findOneAndUpdate(
+    { _id: payoutId, status: { $in: fromStatuses } },
+    {
+      $set: { status, ...extra },
+      $push: { statusHistory: { status, changedBy, note, changedAt: new Date() } }
+    },
+    { new: true }
+  );
+};
+
+payoutSchema.statics.STATUSES = STATUSES;
+payoutSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+payoutSchema.statics.METHODS = METHODS;
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'accepted', 'rejected', 'countered', 'expired'];
+
+// Durée de validité par défaut d'un devis (jours)
+const DEFAULT_VALIDITY_DAYS = 15;
+
+// Fonction pour arrondir un montant au centime
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Fonction pour formatter un montant en euros
+const formatAmount = (amount) => new Intl.NumberFormat('fr-FR', {
+  style: 'currency',
+  currency: 'EUR'
+}).format(amount);
+
+const quoteSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'L\'ID de conversation est obligatoire']
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'L\'ID du service est obligatoire']
+  },
+  serviceTitle: {
+    type: String,
+    required: [true, 'Le titre du service est obligatoire']
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du prestataire est obligatoire']
+  },
+  providerName: {
+    type: String,
+    required: [true, 'Le nom du prestataire est obligatoire']
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du client est obligatoire']
+  },
+  clientName: {
+    type: String,
+    required: [true, 'Le nom du client est obligatoire']
+  },
+  // Auteur de la proposition : le prestataire, ou le client pour une contre-proposition
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'auteur du devis est obligatoire']
+  },
+  items: {
+    type: [{
+      _id: false,
+      description: {
+        type: String,
+        required: [true, 'La description de la ligne est obligatoire'],
+        trim: true,
+        maxlength: [200, 'La description ne peut pas dépasser 200 caractères']
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'La quantité est obligatoire'],
+        min: [0.01, 'La quantité doit être positive']
+      },
+      unitPrice: {
+        type: Number,
+        required: [true, 'Le prix unitaire est obligatoire'],
+        min: [0, 'Le prix unitaire ne peut pas être négatif']
+      },
+      total: {
+        type: Number,
+        default: 0
+      }
+    }],
+    validate: {
+      validator: items => items.length > 0 && items.length <= 20,
+      message: 'Un devis doit contenir entre 1 et 20 lignes'
+    }
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'La date de validité est obligatoire']
+  },
+  // Date d'intervention proposée (facultative)
+  proposedDate: {
+    type: Date,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'La note ne peut pas dépasser 1000 caractères'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  // Devis auquel celui-ci répond (contre-proposition)
+  parentQuoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  // Demande de service créée à l'acceptation du devis
+  serviceRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    default: null
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  responseNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La réponse ne peut pas dépasser 500 caractères'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+quoteSchema.index({ conversationId: 1, createdAt: -1 });
+quoteSchema.index({ providerId: 1, status: 1 });
+quoteSchema.index({ clientId: 1, status: 1 });
+
+// Calculer les totaux des lignes et du devis
+quoteSchema.pre('validate', function(next) {
+  this.items.forEach(item => {
+    item.total = roundAmount(item.quantity * item.unitPrice);
+  });
+  this.total = roundAmount(this.items.reduce((sum, item) => sum + item.total, 0));
+  next();
+});
+
+// Méthode pour connaître le rôle d'un utilisateur dans le devis
+quoteSchema.methods.getRole = function(userId) {
+  if (this.clientId.toString() === userId.toString()) return 'client';
+  if (this.providerId.toString() === userId.toString()) return 'provider';
+  return null;
+};
+
+// Méthode pour vérifier si un utilisateur est partie prenante
+quoteSchema.methods.involves = function(userId) {
+  return this.getRole(userId) !== null;
+};
+
+// Méthode pour obtenir le destinataire de la proposition (celui qui peut y répondre)
+quoteSchema.methods.getRecipientId = function() {
+  return this.authorId.toString() === this.providerId.toString() ? this.clientId : this.providerId;
+};
+
+// Méthode pour vérifier si le devis a dépassé sa date de validité
+quoteSchema.methods.isExpired = function() {
+  return this.status === 'expired' || (this.status === 'pending' && this.validUntil < new Date());
+};
+
+// Méthode pour obtenir le texte affiché dans le fil de la conversation
+quoteSchema.methods.getMessageContent = function() {
+  const label = this.parentQuoteId ? 'Contre-proposition' : 'Devis';
+  return `${label} pour "${this.serviceTitle}" : ${formatAmount(this.total)}`;
+};
+
+// Méthode pour formatter le devis dans les réponses de l'API
+quoteSchema.methods.toPublic = function(userId = null) {
+  return {
+    id: this._id,
+    conversationId: this.conversationId,
+    service: {
+      id: this.serviceId,
+      title: this.serviceTitle
+    },
+    provider: {
+      id: this.providerId,
+      name: this.providerName
+    },
+    client: {
+      id: this.clientId,
+      name: this.clientName
+    },
+    authorId: this.authorId,
+    role: userId ? this.getRole(userId) : undefined,
+    items: this.items.map(item => ({
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      total: item.total
+    })),
+    total: this.total,
+    currency: this.currency,
+    validUntil: this.validUntil,
+    proposedDate: this.proposedDate,
+    note: this.note,
+    status: this.isExpired() ? 'expired' : this.status,
+    parentQuoteId: this.parentQuoteId,
+    serviceRequestId: this.serviceRequestId,
+    respondedAt: this.respondedAt,
+    responseNote: this.responseNote,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Méthode statique pour enregistrer la réponse du destinataire
+// (mise à jour atomique : un devis ne peut recevoir qu'une seule réponse)
+quoteSchema.statics.respond = function(quoteId, status, note = '') {
+  return this.findOneAndUpdate(
+    { _id: quoteId, status: 'pending', validUntil: { $gte: new Date() } },
+    { $set: { status, respondedAt: new Date(), responseNote: note } },
+    { new: true }
+  );
+};
+
+// Méthode statique pour remettre en attente un devis accepté dont la réservation a échoué
+quoteSchema.statics.reopen = function(quoteId) {
+  return this.updateOne(
+    { _id: quoteId, status: 'accepted', serviceRequestId: null },
+    { $set: { status: 'pending', respondedAt: null, responseNote: '' } }
+  );
+};
+
+// Méthode statique pour construire les critères de recherche d'un utilisateur
+quoteSchema.statics.criteriaForUser = function(userId, { conversationId, status } = {}) {
+  const criteria = { $or: [{ clientId: userId }, { providerId: userId }] };
+
+  if (conversationId) criteria.conversationId = conversationId;
+
+  // Les devis expirés restent "pending" en base tant que personne n'y a répondu
+  if (status === 'expired') {
+    criteria.$and = [{ $or: [{ status: 'expired' }, { status: 'pending', validUntil: { $lt: new Date() } }] }];
+  } else if (status === 'pending') {
+    criteria.status = 'pending';
+    criteria.validUntil = { $gte: new Date() };
+  } else if (status) {
+    criteria.status = status;
+  }
+
+  return criteria;
+};
+
+// Méthode statique pour obtenir la date de validité par défaut
+quoteSchema.statics.defaultValidUntil = function() {
+  return new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+};
+
+quoteSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['Service', 'Message', 'User', 'Review'];
+
+const REASONS = [
+  'fraud',
+  'spam',
+  'harassment',
+  'inappropriate',
+  'fake_account',
+  'other'
+];
+
+const STATUSES = ['open', 'reviewing', 'actioned', 'dismissed'];
+
+// Statuts d'un signalement encore à traiter
+const PENDING_STATUSES = ['open', 'reviewing'];
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    required: [true, 'Le type de contenu signalé est obligatoire'],
+    enum: {
+      values: TARGET_TYPES,
+      message: 'Type de contenu invalide'
+    }
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Le contenu signalé est obligatoire']
+  },
+  // Auteur du contenu signalé (pour repérer les récidivistes)
+  targetOwnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'auteur du signalement est obligatoire']
+  },
+  reason: {
+    type: String,
+    required: [true, 'La raison du signalement est obligatoire'],
+    enum: {
+      values: REASONS,
+      message: 'Raison de signalement invalide'
+    }
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Les détails ne peuvent pas dépasser 1000 caractères'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolution: {
+    action: {
+      type: String,
+      default: null
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+      default: ''
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Un utilisateur ne peut signaler qu'une fois le même contenu
+reportSchema.index({ targetType: 1, targetId: 1, reporterId: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetOwnerId: 1 });
+
+// Méthode pour formatter le signalement dans les réponses de l'API
+reportSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    targetType: this.targetType,
+    targetId: this.targetId,
+    targetOwnerId: this.targetOwnerId,
+    reporterId: this.reporterId,
+    reason: this.reason,
+    details: this.details,
+    status: this.status,
+    assignedTo: this.assignedTo,
+    resolution: this.resolution && this.resolution.resolvedAt ? {
+      action: this.resolution.action,
+      note: this.resolution.note,
+      resolvedBy: this.resolution.resolvedBy,
+      resolvedAt: this.resolution.resolvedAt
+    } : null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Méthode statique pour compter les signalements indépendants en attente sur un contenu
+reportSchema.statics.countPending = function(targetType, targetId) {
+  return this.countDocuments({
+    targetType,
+    targetId,
+    status: { $in: PENDING_STATUSES }
+  });
+};
+
+// Méthode statique pour clôturer tous les signalements en attente sur un contenu
+reportSchema.statics.resolveAllForTarget = function(targetType, targetId, status, resolution) {
+  return this.updateMany(
+    { targetType, targetId, status: { $in: PENDING_STATUSES } },
+    {
+      $set: {
+        status,
+        'resolution.action': resolution.action,
+        'resolution.note': resolution.note,
+        'resolution.resolvedBy': resolution.resolvedBy,
+        'resolution.resolvedAt': new Date()
+      }
+    }
+  );
+};
+
+reportSchema.statics.TARGET_TYPES = TARGET_TYPES;
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.STATUSES = STATUSES;
+reportSchema.statics.PENDING_STATUSES = PENDING_STATUSES;
+
+module.exports = mongoose.model('Report', reportSchema);
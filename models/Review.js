@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'L\'ID du service est obligatoire']
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du prestataire est obligatoire']
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID de l\'auteur est obligatoire']
+  },
+  reviewerName: {
+    type: String,
+    required: [true, 'Le nom de l\'auteur est obligatoire']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'La note est obligatoire'],
+    min: [1, 'La note minimale est 1'],
+    max: [5, 'La note maximale est 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Le commentaire ne peut pas dépasser 1000 caractères'],
+    default: ''
+  },
+  reply: {
+    content: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'La réponse ne peut pas dépasser 1000 caractères'],
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    }
+  },
+  isVisible: {
+    type: Boolean,
+    default: true
+  },
+  // Masqué automatiquement après plusieurs signalements (rétabli si les signalements sont rejetés)
+  autoHidden: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Un seul avis par client et par service
+reviewSchema.index({ serviceId: 1, reviewerId: 1 }, { unique: true });
+reviewSchema.index({ providerId: 1, createdAt: -1 });
+reviewSchema.index({ serviceId: 1, createdAt: -1 });
+
+// Méthode pour vérifier si le prestataire a déjà répondu
+reviewSchema.methods.hasReply = function() {
+  return !!(this.reply && this.reply.content);
+};
+
+// Méthode pour ajouter la réponse publique du prestataire
+reviewSchema.methods.addReply = function(content) {
+  this.reply = {
+    content,
+    createdAt: new Date()
+  };
+  return this.save();
+};
+
+// Méthode pour formatter l'avis dans les réponses de l'API
+reviewSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    serviceId: this.serviceId && this.serviceId._id ? this.serviceId._id : this.serviceId,
+    service: this.serviceId && this.serviceId.title ? {
+      id: this.serviceId._id,
+      title: this.serviceId.title,
+      category: this.serviceId.category
+    } : undefined,
+    providerId: this.providerId,
+    reviewer: {
+      id: this.reviewerId && this.reviewerId._id ? this.reviewerId._id : this.reviewerId,
+      name: this.reviewerName,
+      avatar: this.reviewerId && this.reviewerId.avatar !== undefined ? this.reviewerId.avatar : null
+    },
+    rating: this.rating,
+    comment: this.comment,
+    reply: this.hasReply() ? {
+      content: this.reply.content,
+      createdAt: this.reply.createdAt
+    } : null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Pipeline de mise à jour qui ajoute (direction 1) ou retire (direction -1) une note
+// en une seule opération atomique côté MongoDB : la somme des notes est conservée
+// (reconstituée depuis la moyenne pour les documents antérieurs) pour éviter toute dérive des arrondis
+const ratingUpdatePipeline = (rating, direction) => [
+  {
+    $set: {
+      ratingSum: {
+        $add: [
+          { $ifNull: ['$ratingSum', { $multiply: [{ $ifNull: ['$rating', 0] }, { $ifNull: ['$ratingCount', 0] }] }] },
+          rating * direction
+        ]
+      },
+      ratingCount: { $max: [0, { $add: [{ $ifNull: ['$ratingCount', 0] }, direction] }] }
+    }
+  },
+  {
+    $set: {
+      ratingSum: { $cond: [{ $gt: ['$ratingCount', 0] }, '$ratingSum', 0] },
+      rating: {
+        $cond: [{ $gt: ['$ratingCount', 0] }, { $round: [{ $divide: ['$ratingSum', '$ratingCount'] }, 2] }, 0]
+      }
+    }
+  }
+];
+
+// Méthode statique pour répercuter une note sur le service et le prestataire
+// (direction -1 : avis masqué, sa note est retirée des moyennes)
+reviewSchema.statics.applyRating = function(serviceId, providerId, rating, direction = 1) {
+  const Service = mongoose.model('Service');
+  const User = mongoose.model('User');
+
+  return Promise.all([
+    Service.updateOne({ _id: serviceId }, ratingUpdatePipeline(rating, direction)),
+    User.updateOne({ _id: providerId }, ratingUpdatePipeline(rating, direction))
+  ]);
+};
+
+// Méthode statique pour obtenir les avis d'un service
+reviewSchema.statics.getForService = function(serviceId, limit = 20, skip = 0) {
+  return this.find({ serviceId, isVisible: true })
+    .populate('reviewerId', 'firstName lastName avatar')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+};
+
+// Méthode statique pour obtenir les avis reçus par un prestataire
+reviewSchema.statics.getForProvider = function(providerId, limit = 20, skip = 0) {
+  return this.find({ providerId, isVisible: true })
+    .populate('reviewerId', 'firstName lastName avatar')
+    .populate('serviceId', 'title category')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+};
+
+// Méthode statique pour obtenir la répartition des notes
+reviewSchema.statics.getDistribution = function(match) {
+  return this.aggregate([
+    { $match: { ...match, isVisible: true } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+    { $sort: { _id: -1 } }
+  ]);
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Service = require('./Service');
+const { EARTH_RADIUS_KM, toPoint, distanceKm } = require('../utils/geo');
+
+const FREQUENCIES = ['instant', 'daily', 'never'];
+
+// Nombre maximum de recherches enregistrées par utilisateur
+const MAX_PER_USER = 20;
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID utilisateur est obligatoire']
+  },
+  name: {
+    type: String,
+    required: [true, 'Le nom de la recherche est obligatoire'],
+    trim: true,
+    maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+  },
+  // Mêmes filtres que le fil des services
+  criteria: {
+    category: { type: String, default: null },
+    search: { type: String, trim: true, maxlength: 200, default: null },
+    minPrice: { type: Number, default: null },
+    maxPrice: { type: Number, default: null },
+    priceType: { type: [String], default: undefined },
+    minRating: { type: Number, default: null },
+    tags: { type: [String], default: undefined },
+    lat: { type: Number, default: null },
+    lng: { type: Number, default: null },
+    radius: { type: Number, default: null }
+  },
+  // Fréquence des alertes : à chaque nouveau service, résumé quotidien ou jamais
+  frequency: {
+    type: String,
+    enum: {
+      values: FREQUENCIES,
+      message: 'Fréquence invalide'
+    },
+    default: 'instant'
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, 'criteria.category': 1 });
+
+// Méthode pour construire les critères MongoDB des services correspondant à la recherche
+savedSearchSchema.methods.toServiceCriteria = function(since = null) {
+  const { category, search, minPrice, maxPrice, priceType, minRating, tags, lat, lng, radius } = this.criteria;
+
+  const criteria = {
+    isActive: true,
+    // Les services de l'auteur de la recherche ne sont pas pertinents
+    userId: { $ne: this.userId }
+  };
+
+  if (category && category !== 'Tous') criteria.category = category;
+  if (search) criteria.$text = Service.textSearchCriteria(search);
+
+  if (minPrice !== null || maxPrice !== null) {
+    criteria.price = {};
+    if (minPrice !== null) criteria.price.$gte = minPrice;
+    if (maxPrice !== null) criteria.price.$lte = maxPrice;
+  }
+
+  if (priceType && priceType.length > 0) criteria.priceType = { $in: priceType };
+  if (minRating !== null) criteria.rating = { $gte: minRating };
+  if (tags && tags.length > 0) criteria.tags = { $all: tags };
+
+  if (lat !== null && lng !== null) {
+    criteria.geoLocation = {
+      $geoWithin: {
+        $centerSphere: [toPoint(lat, lng).coordinates, (radius || 25) / EARTH_RADIUS_KM]
+      }
+    };
+  }
+
+  if (since) criteria.createdAt = { $gt: since };
+
+  return criteria;
+};
+
+// Méthode pour formatter la recherche dans les réponses de l'API
+savedSearchSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    criteria: this.criteria,
+    frequency: this.frequency,
+    lastNotifiedAt: this.lastNotifiedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Méthode pour vérifier en mémoire si un service correspond aux filtres de la recherche
+// (hors recherche textuelle, qui dépend de l'index texte de MongoDB)
+savedSearchSchema.methods.matchesFilters = function(service) {
+  const { category, minPrice, maxPrice, priceType, minRating, tags, lat, lng, radius } = this.criteria;
+
+  if (!service.isActive || service.userId.toString() === this.userId.toString()) return false;
+  if (category && category !== 'Tous' && service.category !== category) return false;
+  if (minPrice !== null && !(service.price >= minPrice)) return false;
+  if (maxPrice !== null && !(service.price <= maxPrice)) return false;
+  if (priceType && priceType.length > 0 && !priceType.includes(service.priceType)) return false;
+  if (minRating !== null && !((service.rating || 0) >= minRating)) return false;
+  if (tags && tags.length > 0 && !tags.every(tag => (service.tags || []).includes(tag))) return false;
+
+  if (lat !== null && lng !== null) {
+    const distance = distanceKm(toPoint(lat, lng), service.geoLocation);
+    if (distance === null || distance > (radius || 25)) return false;
+  }
+
+  return true;
+};
+
+// Méthode statique pour trouver les recherches instantanées auxquelles correspond un nouveau service
+// Filtres vérifiés en mémoire ; la recherche textuelle n'est interrogée qu'une fois par texte distinct
+savedSearchSchema.statics.findMatchingInstant = async function(service) {
+  const candidates = (await this.find({
+    frequency: 'instant',
+    userId: { $ne: service.userId },
+    'criteria.category': { $in: [null, 'Tous', service.category] }
+  })).filter(savedSearch => savedSearch.matchesFilters(service));
+
+  const textMatches = new Map();
+  const searches = [...new Set(candidates.map(savedSearch => savedSearch.criteria.search).filter(Boolean))];
+  await Promise.all(searches.map(async (search) => {
+    const matched = await Service.exists({ _id: service._id, $text: Service.textSearchCriteria(search) });
+    textMatches.set(search, Boolean(matched));
+  }));
+
+  return candidates.filter(savedSearch => !savedSearch.criteria.search || textMatches.get(savedSearch.criteria.search));
+};
+
+savedSearchSchema.statics.FREQUENCIES = FREQUENCIES;
+savedSearchSchema.statics.MAX_PER_USER = MAX_PER_USER;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
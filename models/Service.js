@@ -1,4 +1,25 @@
 const mongoose = require('mongoose');
+const { pointSchemaDefinition } = require('../utils/geo');
+const { foldText } = require('../utils/text');
+
+const PRICE_TYPES = ['heure', 'jour', 'fixe', 'negociable'];
+
+// Bornes inférieures des tranches de prix utilisées pour les facettes
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500];
+
+const CATEGORIES = [
+  'Bricolage',
+  'Ménage',
+  'Jardinage',
+  'Informatique',
+  'Déménagement',
+  'Électricité',
+  'Plomberie',
+  'Peinture',
+  'Cuisine',
+  'Mécanique',
+  'Autres'
+];
 
 const serviceSchema = new mongoose.Schema({
   title: {
@@ -17,19 +38,7 @@ const serviceSchema = new mongoose.Schema({
     type: String,
     required: [true, 'La catégorie est obligatoire'],
     enum: {
-      values: [
-        'Bricolage',
-        'Ménage', 
-        'Jardinage',
-        'Informatique',
-        'Déménagement',
-        'Électricité',
-        'Plomberie',
-        'Peinture',
-        'Cuisine',
-        'Mécanique',
-        'Autres'
-      ],
+      values: CATEGORIES,
       message: 'Catégorie invalide'
     }
   },
@@ -40,14 +49,23 @@ const serviceSchema = new mongoose.Schema({
   },
   priceType: {
     type: String,
-    enum: ['heure', 'jour', 'fixe', 'negociable'],
+    enum: PRICE_TYPES,
     default: 'negociable'
   },
+  // Durée d'une prestation (minutes), utilisée pour le calcul des créneaux
+  duration: {
+    type: Number,
+    default: 60,
+    min: [15, 'La durée doit être d\'au moins 15 minutes'],
+    max: [1440, 'La durée ne peut pas dépasser 24 heures']
+  },
   location: {
     type: String,
     trim: true,
     maxlength: [200, 'La localisation ne peut pas dépasser 200 caractères']
   },
+  // Coordonnées GeoJSON (saisies ou géocodées depuis la localisation)
+  geoLocation: pointSchemaDefinition,
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -69,6 +87,16 @@ const serviceSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Désactivé par la modération (et non par son auteur)
+  hiddenByModeration: {
+    type: Boolean,
+    default: false
+  },
+  // Masqué automatiquement après plusieurs signalements (rétabli si les signalements sont rejetés)
+  autoHidden: {
+    type: Boolean,
+    default: false
+  },
   views: {
     type: Number,
     default: 0
@@ -87,6 +115,10 @@ const serviceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Somme des notes des avis visibles, tenue par Review.applyRating (absente des comptes antérieurs)
+  ratingSum: {
+    type: Number
+  },
   tags: [{
     type: String,
     trim: true,
@@ -99,7 +131,12 @@ const serviceSchema = new mongoose.Schema({
   availableTo: {
     type: Date,
     default: null
-  }
+  },
+  // Termes normalisés (sans accents) pour l'autocomplétion par préfixe
+  suggestTerms: [{
+    type: String,
+    select: false
+  }]
 }, {
   timestamps: true
 });
@@ -109,13 +146,20 @@ serviceSchema.index({ userId: 1 });
 serviceSchema.index({ category: 1 });
 serviceSchema.index({ isActive: 1 });
 serviceSchema.index({ createdAt: -1 });
-serviceSchema.index({ 
-  title: 'text', 
-  content: 'text', 
-  tags: 'text' 
+// Index texte en français (insensible aux accents), le titre pèse plus que la description
+serviceSchema.index({
+  title: 'text',
+  content: 'text',
+  tags: 'text'
+}, {
+  name: 'service_text_search',
+  default_language: 'french',
+  weights: { title: 10, tags: 5, content: 1 }
 });
 serviceSchema.index({ location: 1 });
+serviceSchema.index({ geoLocation: '2dsphere' });
 serviceSchema.index({ price: 1 });
+serviceSchema.index({ suggestTerms: 1 });
 
 // Middleware pour valider que seuls les prestataires peuvent poster des services
 serviceSchema.pre('save', function(next) {
@@ -127,6 +171,14 @@ serviceSchema.pre('save', function(next) {
   next();
 });
 
+// Middleware pour tenir à jour les termes d'autocomplétion
+serviceSchema.pre('save', function(next) {
+  if (this.isModified('title') || this.isModified('tags') || this.isModified('userName')) {
+    this.suggestTerms = this.constructor.buildSuggestTerms(this);
+  }
+  next();
+});
+
 // Méthode pour incrémenter les vues
 serviceSchema.methods.incrementViews = function() {
   this.views += 1;
@@ -139,21 +191,45 @@ serviceSchema.methods.incrementRequests = function() {
   return this.save();
 };
 
-// Méthode statique pour rechercher des services
+// Méthode statique pour construire un critère de recherche texte.
+// La syntaxe $text est conservée : "expression exacte" et -mot pour exclure un terme.
+serviceSchema.statics.textSearchCriteria = function(query) {
+  let search = String(query).replace(/\s+/g, ' ').trim().substring(0, 200);
+
+  // Un guillemet non fermé transformerait toute la fin de la requête en expression
+  if ((search.match(/"/g) || []).length % 2 === 1) {
+    const lastQuote = search.lastIndexOf('"');
+    search = search.substring(0, lastQuote) + search.substring(lastQuote + 1);
+  }
+
+  return {
+    $search: search,
+    $language: 'french',
+    $diacriticSensitive: false
+  };
+};
+
+// Méthode statique pour rechercher des services (triés par pertinence)
 serviceSchema.statics.search = function(query, category = null, limit = 20, skip = 0) {
   const searchCriteria = { isActive: true };
   
-  if (query) {
-    searchCriteria.$text = { $search: query };
-  }
-  
   if (category && category !== 'Tous') {
     searchCriteria.category = category;
   }
-  
-  return this.find(searchCriteria)
+
+  if (!query) {
+    return this.find(searchCriteria)
+      .populate('userId', 'firstName lastName rating ratingCount')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+  }
+
+  searchCriteria.$text = this.textSearchCriteria(query);
+
+  return this.find(searchCriteria, { score: { $meta: 'textScore' } })
     .populate('userId', 'firstName lastName rating ratingCount')
-    .sort({ createdAt: -1 })
+    .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
     .limit(limit)
     .skip(skip);
 };
@@ -162,7 +238,73 @@ serviceSchema.statics.search = function(query, category = null, limit = 20, skip
 serviceSchema.statics.getByUser = function(userId) {
   return this.find({ userId, isActive: true })
     .sort({ createdAt: -1 })
-    .populate('userId', 'firstName lastName rating ratingCount');
+    .populate('userId', 'firstName lastName type rating ratingCount avatar verification');
+};
+
+// Méthode statique pour calculer les termes d'autocomplétion d'un service :
+// le titre, chaque tag et le nom du prestataire en entier, ainsi que chacun de leurs mots
+serviceSchema.statics.buildSuggestTerms = function({ title, tags = [], userName }) {
+  const phrases = [title, ...(tags || []), userName].map(foldText).filter(Boolean);
+  const words = phrases.flatMap(phrase => phrase.split(/[\s\-'’]+/)).filter(word => word.length > 1);
+  return [...new Set([...phrases, ...words])];
+};
+
+// Méthode statique pour calculer les facettes du fil (catégories, tranches de prix, types de prix).
+// Chaque facette applique les critères communs et les filtres des autres dimensions,
+// mais pas le sien, pour afficher les alternatives disponibles.
+serviceSchema.statics.getFacets = async function(criteria, filters = {}) {
+  const without = (dimension) => {
+    const match = {};
+    Object.keys(filters).forEach(key => {
+      if (key !== dimension) match[key] = filters[key];
+    });
+    return match;
+  };
+
+  const priceMatch = without('price');
+  priceMatch.price = { $ne: null };
+
+  // Les critères communs (dont $text) sont appliqués en premier étage, comme l'exige MongoDB
+  const [result] = await this.aggregate([
+    { $match: criteria },
+    {
+      $facet: {
+        categories: [
+          { $match: without('category') },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        priceTypes: [
+          { $match: without('priceType') },
+          { $group: { _id: '$priceType', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        priceRanges: [
+          { $match: priceMatch },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: [...PRICE_BUCKETS, Number.MAX_VALUE],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    categories: result.categories.map(item => ({ value: item._id, count: item.count })),
+    priceTypes: result.priceTypes.map(item => ({ value: item._id, count: item.count })),
+    priceRanges: result.priceRanges.map(item => {
+      const index = PRICE_BUCKETS.indexOf(item._id);
+      return {
+        min: item._id,
+        max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+        count: item.count
+      };
+    })
+  };
 };
 
 // Méthode statique pour obtenir les statistiques par catégorie
@@ -181,4 +323,8 @@ serviceSchema.statics.getCategoryStats = function() {
   ]);
 };
 
+serviceSchema.statics.CATEGORIES = CATEGORIES;
+serviceSchema.statics.PRICE_TYPES = PRICE_TYPES;
+serviceSchema.statics.PRICE_BUCKETS = PRICE_BUCKETS;
+
 module.exports = mongoose.model('Service', serviceSchema);
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+
+const STATUSES = [
+  'pending',
+  'accepted',
+  'declined',
+  'scheduled',
+  'in_progress',
+  'completed',
+  'cancelled'
+];
+
+// Statuts considérés comme "en cours" (demande encore ouverte)
+const OPEN_STATUSES = ['pending', 'accepted', 'scheduled', 'in_progress'];
+
+// Statuts pour lesquels le client peut payer (fonds mis sous séquestre)
+const PAYABLE_STATUSES = ['accepted', 'scheduled', 'in_progress'];
+
+// Actions possibles : statut cible, statuts de départ autorisés et acteur
+const ACTIONS = {
+  accept: { to: 'accepted', from: ['pending'], actor: 'provider' },
+  decline: { to: 'declined', from: ['pending'], actor: 'provider' },
+  schedule: { to: 'scheduled', from: ['accepted', 'scheduled'], actor: 'provider' },
+  start: { to: 'in_progress', from: ['accepted', 'scheduled'], actor: 'provider' },
+  complete: { to: 'completed', from: ['accepted', 'scheduled', 'in_progress'], actor: 'provider' },
+  cancel: { to: 'cancelled', from: ['pending', 'accepted', 'scheduled'], actor: 'client' }
+};
+
+const serviceRequestSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'L\'ID du service est obligatoire']
+  },
+  serviceTitle: {
+    type: String,
+    required: [true, 'Le titre du service est obligatoire']
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du client est obligatoire']
+  },
+  clientName: {
+    type: String,
+    required: [true, 'Le nom du client est obligatoire']
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID du prestataire est obligatoire']
+  },
+  providerName: {
+    type: String,
+    required: [true, 'Le nom du prestataire est obligatoire']
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Le message ne peut pas dépasser 1000 caractères'],
+    default: ''
+  },
+  proposedDate: {
+    type: Date,
+    default: null
+  },
+  scheduledDate: {
+    type: Date,
+    default: null
+  },
+  // Devis accepté à l'origine de la demande et montant convenu
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  agreedPrice: {
+    type: Number,
+    default: null
+  },
+  // Créneau réservé dans le calendrier du prestataire (date proposée ou planifiée + durée du service)
+  slotStart: {
+    type: Date,
+    default: null
+  },
+  slotEnd: {
+    type: Date,
+    default: null
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'L\'adresse ne peut pas dépasser 300 caractères'],
+    default: ''
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+      default: ''
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+serviceRequestSchema.index({ clientId: 1, createdAt: -1 });
+serviceRequestSchema.index({ providerId: 1, createdAt: -1 });
+serviceRequestSchema.index({ serviceId: 1, status: 1 });
+serviceRequestSchema.index({ status: 1 });
+serviceRequestSchema.index({ providerId: 1, slotStart: 1 });
+
+// Historiser le statut initial
+serviceRequestSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.clientId
+    });
+  }
+  next();
+});
+
+// Méthode pour connaître le rôle d'un utilisateur dans la demande
+serviceRequestSchema.methods.getRole = function(userId) {
+  if (this.clientId.toString() === userId.toString()) return 'client';
+  if (this.providerId.toString() === userId.toString()) return 'provider';
+  return null;
+};
+
+// Méthode pour vérifier si un utilisateur est partie prenante
+serviceRequestSchema.methods.involves = function(userId) {
+  return this.getRole(userId) !== null;
+};
+
+// Méthode pour vérifier si une action est possible dans l'état actuel
+serviceRequestSchema.methods.canApply = function(action, userId) {
+  const definition = ACTIONS[action];
+  if (!definition) return false;
+  return definition.actor === this.getRole(userId) && definition.from.includes(this.status);
+};
+
+// Méthode pour appliquer une action et changer le statut (avec les autres modifications en cours du document)
+// Mise à jour conditionnelle : renvoie null si le statut a changé entre-temps (actions simultanées),
+// sinon la demande à jour
+serviceRequestSchema.methods.applyAction = function(action, userId, note = '') {
+  const definition = ACTIONS[action];
+  const changes = {};
+
+  this.directModifiedPaths().forEach(path => {
+    changes[path] = this.get(path);
+  });
+  changes.status = definition.to;
+  if (definition.to === 'completed') changes.completedAt = new Date();
+  if (definition.to === 'cancelled') changes.cancelledAt = new Date();
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: definition.from } },
+    {
+      $set: changes,
+      $push: { statusHistory: { status: definition.to, changedBy: userId, note } }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Méthode pour annuler la dernière action appliquée (ex. créneau pris simultanément par une autre demande)
+// previous : valeurs à rétablir (statut, créneau...)
+serviceRequestSchema.methods.revertAction = function(previous) {
+  return this.constructor.updateOne(
+    { _id: this._id, status: this.status },
+    { $set: previous, $pop: { statusHistory: 1 } }
+  );
+};
+
+// Méthode pour réserver un créneau à partir d'une date de début et d'une durée (minutes)
+serviceRequestSchema.methods.setSlot = function(start, duration) {
+  this.slotStart = start;
+  this.slotEnd = new Date(start.getTime() + duration * 60 * 1000);
+  return this;
+};
+
+// Méthode pour formatter la demande dans les réponses de l'API
+serviceRequestSchema.methods.toPublic = function(userId = null) {
+  return {
+    id: this._id,
+    service: {
+      id: this.serviceId && this.serviceId._id ? this.serviceId._id : this.serviceId,
+      title: this.serviceTitle
+    },
+    client: {
+      id: this.clientId,
+      name: this.clientName
+    },
+    provider: {
+      id: this.providerId,
+      name: this.providerName
+    },
+    role: userId ? this.getRole(userId) : undefined,
+    conversationId: this.conversationId,
+    status: this.status,
+    message: this.message,
+    proposedDate: this.proposedDate,
+    scheduledDate: this.scheduledDate,
+    quoteId: this.quoteId,
+    agreedPrice: this.agreedPrice,
+    slot: this.slotStart ? { start: this.slotStart, end: this.slotEnd } : null,
+    address: this.address,
+    statusHistory: this.statusHistory.map(entry => ({
+      status: entry.status,
+      changedBy: entry.changedBy,
+      note: entry.note,
+      changedAt: entry.changedAt
+    })),
+    completedAt: this.completedAt,
+    cancelledAt: this.cancelledAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Méthode statique pour trouver une demande encore ouverte d'un client sur un service
+serviceRequestSchema.statics.findOpen = function(serviceId, clientId) {
+  return this.findOne({
+    serviceId,
+    clientId,
+    status: { $in: OPEN_STATUSES }
+  });
+};
+
+// Méthode statique pour construire les critères de recherche d'un utilisateur
+serviceRequestSchema.statics.criteriaForUser = function(userId, role = null, status = null) {
+  const criteria = {};
+
+  if (role === 'client') {
+    criteria.clientId = userId;
+  } else if (role === 'provider') {
+    criteria.providerId = userId;
+  } else {
+    criteria.$or = [{ clientId: userId }, { providerId: userId }];
+  }
+
+  if (status) {
+    criteria.status = status;
+  }
+
+  return criteria;
+};
+
+// Méthode statique pour obtenir les demandes d'un utilisateur
+serviceRequestSchema.statics.getForUser = function(userId, role = null, status = null, limit = 20, skip = 0) {
+  return this.find(this.criteriaForUser(userId, role, status))
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+};
+
+// Méthode statique pour obtenir les créneaux occupés d'un prestataire sur une période
+serviceRequestSchema.statics.getBookings = async function(providerId, from, to, excludeId = null) {
+  const criteria = {
+    providerId,
+    status: { $in: OPEN_STATUSES },
+    slotStart: { $lt: to },
+    slotEnd: { $gt: from }
+  };
+
+  if (excludeId) {
+    criteria._id = { $ne: excludeId };
+  }
+
+  const requests = await this.find(criteria).select('slotStart slotEnd').sort({ slotStart: 1 });
+  return requests.map(request => ({ id: request._id, start: request.slotStart, end: request.slotEnd }));
+};
+
+// Méthode statique pour trouver une réservation qui chevauche un créneau
+serviceRequestSchema.statics.findConflict = function(providerId, start, end, excludeId = null, bufferMinutes = 0) {
+  const buffer = bufferMinutes * 60 * 1000;
+  const criteria = {
+    providerId,
+    status: { $in: OPEN_STATUSES },
+    slotStart: { $lt: new Date(end.getTime() + buffer) },
+    slotEnd: { $gt: new Date(start.getTime() - buffer) }
+  };
+
+  if (excludeId) {
+    criteria._id = { $ne: excludeId };
+  }
+
+  return this.findOne(criteria).sort({ createdAt: 1, _id: 1 });
+};
+
+serviceRequestSchema.statics.STATUSES = STATUSES;
+serviceRequestSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+serviceRequestSchema.statics.PAYABLE_STATUSES = PAYABLE_STATUSES;
+serviceRequestSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('ServiceRequest', serviceRequestSchema);
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { describeDevice } = require('../utils/device');
+const appEvents = require('../utils/events');
+
+const REFRESH_TTL = 7 * 24 * 60 * 60 * 1000; // 7 jours
+const REFRESH_TTL_REMEMBER = 30 * 24 * 60 * 60 * 1000; // 30 jours avec "se souvenir de moi"
+const ACTIVITY_THROTTLE = 60 * 1000; // fréquence maximale d'écriture de la dernière activité
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID utilisateur est obligatoire']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash du refresh token précédent, pour détecter la réutilisation d'un token déjà tourné
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Appareil inconnu'
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [null, 'logout', 'logout_all', 'revoked_by_user', 'password_change', 'password_reset', 'account_deleted', 'account_suspended', 'reuse_detected'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Purge automatique une semaine après expiration
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Fonction pour hasher un refresh token (jamais stocké en clair)
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Fonction pour générer la partie secrète d'un refresh token
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Méthode pour vérifier si la session est encore valide
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Méthode pour enregistrer l'activité de la session (écriture limitée)
+sessionSchema.methods.touch = function(ip = null) {
+  if (Date.now() - this.lastActivityAt.getTime() < ACTIVITY_THROTTLE) {
+    return Promise.resolve();
+  }
+
+  this.lastActivityAt = new Date();
+  if (ip) this.ip = ip;
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastActivityAt: this.lastActivityAt, ip: this.ip } }
+  );
+};
+
+// Méthode pour formatter la session dans les réponses de l'API
+sessionSchema.methods.toPublic = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    rememberMe: this.rememberMe,
+    isCurrent: currentSessionId ? this._id.toString() === currentSessionId.toString() : false,
+    loggedInAt: this.createdAt,
+    lastActivityAt: this.lastActivityAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+// Méthode pour faire tourner le refresh token (l'ancien devient inutilisable)
+// Rotation atomique depuis le token présenté : renvoie null s'il a déjà été tourné entre-temps
+// (deux renouvellements simultanés avec le même token = rejeu)
+sessionSchema.methods.rotate = async function(ip = null) {
+  const refreshToken = `${this._id}.${generateSecret()}`;
+  const update = {
+    lastActivityAt: new Date(),
+    previousRefreshTokenHash: this.refreshTokenHash,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + (this.rememberMe ? REFRESH_TTL_REMEMBER : REFRESH_TTL))
+  };
+  if (ip) update.ip = ip;
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    { $set: update },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  this.set(update);
+  return refreshToken;
+};
+
+// Méthode pour révoquer la session (les connexions temps réel ouvertes avec elle sont fermées)
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+
+  appEvents.emit('session:revoked', { userId: this.userId, sessionId: this._id, reason });
+  return this;
+};
+
+// Méthode statique pour ouvrir une nouvelle session
+sessionSchema.statics.start = async function(userId, {
+  rememberMe = false,
+  deviceName = null,
+  userAgent = '',
+  ip = null
+} = {}) {
+  const session = new this({
+    userId,
+    rememberMe,
+    deviceName: deviceName || describeDevice(userAgent),
+    userAgent: userAgent.substring(0, 500),
+    ip,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + (rememberMe ? REFRESH_TTL_REMEMBER : REFRESH_TTL))
+  });
+
+  // Le refresh token contient l'ID de session : il est généré après l'attribution de l'ID
+  const refreshToken = `${session._id}.${generateSecret()}`;
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Méthode statique pour retrouver la session d'un refresh token
+// Retourne { status: 'valid' | 'invalid' | 'expired' | 'reused', session }
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const [sessionId] = String(refreshToken).split('.');
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { status: 'invalid', session: null };
+  }
+
+  const session = await this.findById(sessionId);
+  if (!session) {
+    return { status: 'invalid', session: null };
+  }
+
+  const hash = hashToken(refreshToken);
+
+  if (session.previousRefreshTokenHash === hash) {
+    return { status: 'reused', session };
+  }
+
+  if (session.refreshTokenHash !== hash) {
+    return { status: 'invalid', session: null };
+  }
+
+  if (!session.isValid()) {
+    return { status: 'expired', session };
+  }
+
+  return { status: 'valid', session };
+};
+
+// Méthode statique pour obtenir les sessions actives d'un utilisateur
+sessionSchema.statics.getActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastActivityAt: -1 });
+};
+
+// Méthode statique pour révoquer toutes les sessions d'un utilisateur
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const criteria = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    criteria._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(criteria, {
+    $set: {
+      revokedAt: new Date(),
+      revokedReason: reason
+    }
+  });
+
+  appEvents.emit('session:revoked', { userId, exceptSessionId, reason });
+  return result;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// payment : paiement du client (mis sous séquestre)
+// release : fonds débloqués au prestataire
+// commission : commission de la plateforme prélevée sur le paiement débloqué
+// refund : remboursement au client (et reprise chez le prestataire si les fonds étaient débloqués)
+// payout : versement des gains sur le compte du prestataire
+const TYPES = ['payment', 'release', 'commission', 'refund', 'payout'];
+
+const transactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID utilisateur est obligatoire']
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  serviceRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    default: null
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: TYPES
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Référence unique de l'écriture (rend l'enregistrement idempotent)
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+transactionSchema.index({ userId: 1, createdAt: -1 });
+transactionSchema.index({ paymentId: 1 });
+
+// Méthode pour formatter l'écriture dans les réponses de l'API
+transactionSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    paymentId: this.paymentId,
+    payoutId: this.payoutId,
+    serviceRequestId: this.serviceRequestId,
+    type: this.type,
+    direction: this.direction,
+    amount: this.amount,
+    currency: this.currency,
+    description: this.description,
+    createdAt: this.createdAt
+  };
+};
+
+// Méthode statique pour enregistrer des écritures (les doublons sont ignorés)
+transactionSchema.statics.record = async function(entries) {
+  try {
+    await this.insertMany(entries, { ordered: false });
+  } catch (error) {
+    const errors = error.writeErrors || [];
+    if (error.code !== 11000 && !(errors.length > 0 && errors.every(writeError => writeError.code === 11000))) {
+      throw error;
+    }
+  }
+};
+
+transactionSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Transaction', transactionSchema);
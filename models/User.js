@@ -1,5 +1,40 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { pointSchemaDefinition } = require('../utils/geo');
+const appEvents = require('../utils/events');
+
+// Permissions accordées par rôle (le rôle est indépendant du type de compte)
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'users:read',
+    'users:suspend',
+    'services:moderate',
+    'reports:read',
+    'reports:moderate',
+    'verifications:review'
+  ],
+  admin: [
+    'users:read',
+    'users:suspend',
+    'users:manage-roles',
+    'services:moderate',
+    'reports:read',
+    'reports:moderate',
+    'metrics:read',
+    'audit:read',
+    'payments:refund',
+    'payouts:manage',
+    'verifications:review'
+  ]
+};
+
+// Badges de confiance affichés sur le profil et les services d'un prestataire
+const BADGES = ['verified_identity', 'verified_pro', 'top_rated'];
+
+// Seuils du badge "top_rated" (note moyenne et nombre d'avis minimum)
+const TOP_RATED_MIN_RATING = 4.5;
+const TOP_RATED_MIN_REVIEWS = 10;
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -26,6 +61,14 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Le mot de passe est obligatoire'],
     minlength: [6, 'Le mot de passe doit contenir au moins 6 caractères']
   },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
   type: {
     type: String,
     required: [true, 'Le type de compte est obligatoire'],
@@ -34,10 +77,42 @@ const userSchema = new mongoose.Schema({
       message: 'Le type doit être "particulier" ou "prestataire"'
     }
   },
+  role: {
+    type: String,
+    enum: {
+      values: Object.keys(ROLE_PERMISSIONS),
+      message: 'Rôle invalide'
+    },
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  suspension: {
+    isSuspended: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      maxlength: 500,
+      default: ''
+    },
+    until: {
+      type: Date,
+      default: null
+    },
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    suspendedAt: {
+      type: Date,
+      default: null
+    }
+  },
   avatar: {
     type: String,
     default: null
@@ -47,6 +122,14 @@ const userSchema = new mongoose.Schema({
     maxlength: [500, 'La bio ne peut pas dépasser 500 caractères'],
     default: ''
   },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La localisation ne peut pas dépasser 200 caractères'],
+    default: ''
+  },
+  // Coordonnées GeoJSON (zone d'intervention d'un prestataire)
+  geoLocation: pointSchemaDefinition,
   rating: {
     type: Number,
     default: 0,
@@ -57,10 +140,52 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Somme des notes des avis visibles, tenue par Review.applyRating (absente des comptes antérieurs)
+  ratingSum: {
+    type: Number
+  },
   lastLogin: {
     type: Date,
     default: null
-  }
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  notificationPreferences: {
+    message: { type: Boolean, default: true },
+    service_request: { type: Boolean, default: true },
+    request_update: { type: Boolean, default: true },
+    review: { type: Boolean, default: true },
+    account: { type: Boolean, default: true },
+    saved_search: { type: Boolean, default: true },
+    quote: { type: Boolean, default: true },
+    payment: { type: Boolean, default: true }
+  },
+  // Vérification du prestataire (mise à jour à chaque revue de ses documents)
+  verification: {
+    identityVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    identityExpiresAt: {
+      type: Date,
+      default: null
+    },
+    proVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    proExpiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Utilisateurs bloqués (plus de contact possible dans les deux sens)
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
 }, {
   timestamps: true,
   toJSON: {
@@ -75,6 +200,11 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ lastName: 1 });
 userSchema.index({ type: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ 'suspension.isSuspended': 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ geoLocation: '2dsphere' });
+userSchema.index({ 'verification.identityVerifiedAt': 1 });
 
 // Middleware pour hasher le mot de passe avant sauvegarde
 userSchema.pre('save', async function(next) {
@@ -83,6 +213,10 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -94,6 +228,73 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Méthode pour marquer le numéro de téléphone comme vérifié
+userSchema.methods.markPhoneVerified = function() {
+  this.isPhoneVerified = true;
+  this.phoneVerifiedAt = new Date();
+  return this.save();
+};
+
+// Méthode pour vérifier si l'utilisateur dispose d'une permission
+userSchema.methods.hasPermission = function(permission) {
+  return (ROLE_PERMISSIONS[this.role] || []).includes(permission);
+};
+
+// Méthode pour vérifier si le compte est actuellement suspendu
+userSchema.methods.isSuspended = function() {
+  const suspension = this.suspension || {};
+  if (!suspension.isSuspended) return false;
+  return !suspension.until || suspension.until > new Date();
+};
+
+// Méthode pour suspendre le compte
+userSchema.methods.suspend = async function(reason, until = null, suspendedBy = null) {
+  this.suspension = {
+    isSuspended: true,
+    reason,
+    until,
+    suspendedBy,
+    suspendedAt: new Date()
+  };
+  await this.save();
+
+  appEvents.emit('user:suspended', { userId: this._id });
+  return this;
+};
+
+// Méthode pour lever la suspension
+userSchema.methods.unsuspend = function() {
+  this.suspension = {
+    isSuspended: false,
+    reason: '',
+    until: null,
+    suspendedBy: null,
+    suspendedAt: null
+  };
+  return this.save();
+};
+
+// Méthode pour obtenir les badges de confiance d'un prestataire
+userSchema.methods.getBadges = function() {
+  if (this.type !== 'prestataire') return [];
+
+  const now = new Date();
+  const verification = this.verification || {};
+  const isCurrent = (verifiedAt, expiresAt) => Boolean(verifiedAt) && (!expiresAt || expiresAt > now);
+
+  const badges = [];
+  if (isCurrent(verification.identityVerifiedAt, verification.identityExpiresAt)) {
+    badges.push('verified_identity');
+  }
+  if (isCurrent(verification.proVerifiedAt, verification.proExpiresAt)) {
+    badges.push('verified_pro');
+  }
+  if (this.rating >= TOP_RATED_MIN_RATING && this.ratingCount >= TOP_RATED_MIN_REVIEWS) {
+    badges.push('top_rated');
+  }
+  return badges;
+};
+
 // Méthode pour obtenir le nom complet
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -110,6 +311,51 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+// Méthode pour savoir si l'utilisateur souhaite recevoir un type de notification
+userSchema.methods.wantsNotification = function(type) {
+  const preferences = this.notificationPreferences || {};
+  return preferences[type] !== false;
+};
+
+// Méthode pour vérifier si l'utilisateur a bloqué un autre utilisateur
+userSchema.methods.hasBlocked = function(userId) {
+  return (this.blockedUsers || []).some(id => id.toString() === userId.toString());
+};
+
+// Méthode statique pour bloquer un utilisateur
+userSchema.statics.blockUser = function(userId, blockedId) {
+  return this.updateOne({ _id: userId }, { $addToSet: { blockedUsers: blockedId } });
+};
+
+// Méthode statique pour débloquer un utilisateur
+userSchema.statics.unblockUser = function(userId, blockedId) {
+  return this.updateOne({ _id: userId }, { $pull: { blockedUsers: blockedId } });
+};
+
+// Méthode statique pour vérifier si deux utilisateurs sont bloqués (dans un sens ou dans l'autre)
+userSchema.statics.isBlockedBetween = async function(userId1, userId2) {
+  const blocked = await this.exists({
+    $or: [
+      { _id: userId1, blockedUsers: userId2 },
+      { _id: userId2, blockedUsers: userId1 }
+    ]
+  });
+  return Boolean(blocked);
+};
+
+// Méthode statique pour obtenir les IDs des utilisateurs bloqués par ou ayant bloqué un utilisateur
+userSchema.statics.getBlockedRelations = async function(userId) {
+  const [user, blockers] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).select('_id')
+  ]);
+
+  return [
+    ...(user ? user.blockedUsers : []),
+    ...blockers.map(blocker => blocker._id)
+  ];
+};
+
 // Méthode statique pour rechercher par téléphone ou nom
 userSchema.statics.findByPhoneOrName = function(identifier) {
   return this.findOne({
@@ -121,4 +367,19 @@ userSchema.statics.findByPhoneOrName = function(identifier) {
   });
 };
 
+// Méthode statique pour obtenir les critères des prestataires à l'identité vérifiée
+userSchema.statics.verifiedProviderCriteria = function() {
+  return {
+    type: 'prestataire',
+    'verification.identityVerifiedAt': { $ne: null },
+    $or: [
+      { 'verification.identityExpiresAt': null },
+      { 'verification.identityExpiresAt': { $gt: new Date() } }
+    ]
+  };
+};
+
+userSchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+userSchema.statics.BADGES = BADGES;
+
 module.exports = mongoose.model('User', userSchema);
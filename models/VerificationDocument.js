@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// identity : pièce d'identité ; business_registration : justificatif d'immatriculation (SIRET, Kbis...)
+// insurance : attestation d'assurance responsabilité civile professionnelle
+const TYPES = ['identity', 'business_registration', 'insurance'];
+
+// pending : en attente de revue ; approved : validé par l'équipe ; rejected : refusé (ou retiré)
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const verificationDocumentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID utilisateur est obligatoire']
+  },
+  type: {
+    type: String,
+    required: [true, 'Le type de document est obligatoire'],
+    enum: {
+      values: TYPES,
+      message: 'Type de document invalide'
+    }
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Contenu du document (données personnelles : jamais servi en statique)
+  content: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  // Date de fin de validité (attestation d'assurance, pièce d'identité)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La note ne peut pas dépasser 500 caractères'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour optimiser les recherches
+verificationDocumentSchema.index({ userId: 1, type: 1, createdAt: -1 });
+verificationDocumentSchema.index({ status: 1, createdAt: 1 });
+
+// Méthode pour vérifier si le document est encore valable
+verificationDocumentSchema.methods.isValid = function() {
+  return this.status === 'approved' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Méthode pour formatter le document dans les réponses de l'API
+verificationDocumentSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    userId: this.userId,
+    type: this.type,
+    filename: this.filename,
+    mimeType: this.mimeType,
+    size: this.size,
+    expiresAt: this.expiresAt,
+    status: this.status,
+    reviewedAt: this.reviewedAt,
+    reviewNote: this.reviewNote,
+    createdAt: this.createdAt
+  };
+};
+
+// Méthode statique pour passer en revue un document de manière atomique
+// (renvoie null si le document n'est plus dans un des statuts attendus)
+verificationDocumentSchema.statics.review = function(documentId, fromStatuses, status, reviewedBy, note = '') {
+  return this.findOneAndUpdate(
+    { _id: documentId, status: { $in: fromStatuses } },
+    { $set: { status, reviewedBy, reviewedAt: new Date(), reviewNote: note } },
+    { new: true }
+  );
+};
+
+// Méthode statique pour obtenir le dernier document validé de chaque type pour un utilisateur
+verificationDocumentSchema.statics.getApprovedByType = async function(userId) {
+  const documents = await this.find({ userId, status: 'approved' }).sort({ reviewedAt: -1 });
+
+  return TYPES.reduce((approved, type) => {
+    approved[type] = documents.find(document => document.type === type && document.isValid()) || null;
+    return approved;
+  }, {});
+};
+
+verificationDocumentSchema.statics.TYPES = TYPES;
+verificationDocumentSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('VerificationDocument', verificationDocumentSchema);
@@ -0,0 +1,277 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { URL } = require('url');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { resolveUserFromToken } = require('../middleware/auth');
+const appEvents = require('../utils/events');
+
+const HEARTBEAT_INTERVAL = 30 * 1000; // 30 secondes
+const TYPING_TIMEOUT = 5 * 1000; // l'indicateur expire côté client après 5 secondes
+
+// Connexions ouvertes par utilisateur : userId -> Set<WebSocket>
+const clients = new Map();
+
+// Fonction pour extraire le token (query ?token= ou en-tête Authorization)
+const extractToken = (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) return queryToken;
+
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Fonction pour envoyer un événement sur une connexion
+const send = (socket, type, data) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type, data }));
+  }
+};
+
+// Fonction pour envoyer un événement à toutes les connexions d'un utilisateur
+const sendToUser = (userId, type, data) => {
+  const sockets = clients.get(userId.toString());
+  if (!sockets) return;
+  sockets.forEach(socket => send(socket, type, data));
+};
+
+// Fonction pour fermer les connexions d'un utilisateur (toutes, ou seulement celles acceptées par le filtre)
+const disconnectUser = (userId, code, reason, filter = () => true) => {
+  const sockets = clients.get(userId.toString());
+  if (!sockets) return;
+  sockets.forEach(socket => {
+    if (filter(socket)) socket.close(code, reason);
+  });
+};
+
+// Session révoquée (déconnexion, changement de mot de passe...) : fermer les connexions ouvertes avec elle
+const onSessionRevoked = ({ userId, sessionId = null, exceptSessionId = null }) => {
+  disconnectUser(userId, 4001, 'Session révoquée', (socket) => (sessionId
+    ? socket.sessionId === sessionId.toString()
+    : !exceptSessionId || socket.sessionId !== exceptSessionId.toString()));
+};
+
+// Compte suspendu : fermer toutes ses connexions
+const onUserSuspended = ({ userId }) => {
+  disconnectUser(userId, 4003, 'Compte suspendu');
+};
+
+// Fonction pour vérifier si un utilisateur a au moins une connexion ouverte
+const isOnline = (userId) => clients.has(userId.toString());
+
+// Fonction pour pousser le nombre de messages non lus à un utilisateur
+const pushUnreadCount = async (userId) => {
+  if (!isOnline(userId)) return;
+
+  const result = await Message.getUnreadCount(userId);
+  sendToUser(userId, 'unread:count', {
+    unreadCount: result.length > 0 ? result[0].totalUnread : 0
+  });
+};
+
+// Fonction pour formatter un message pour les clients
+const formatMessage = (message) => ({
+  id: message._id,
+  conversationId: message.conversationId,
+  content: message.content,
+  messageType: message.messageType,
+  sender: {
+    id: message.senderId && message.senderId._id ? message.senderId._id : message.senderId,
+    name: message.senderName
+  },
+  attachments: message.attachments,
+  quoteId: message.quoteId && message.quoteId._id ? message.quoteId._id : message.quoteId,
+  replyTo: message.replyTo && message.replyTo._id ? message.replyTo._id : message.replyTo,
+  createdAt: message.createdAt
+});
+
+// Diffusion des nouveaux messages aux participants
+const onMessageCreated = async (message) => {
+  try {
+    const conversation = await Conversation.findById(message.conversationId).select('participants');
+    if (!conversation) return;
+
+    const payload = formatMessage(message);
+    const senderId = payload.sender.id.toString();
+
+    for (const participant of conversation.participants) {
+      sendToUser(participant.userId, 'message:new', {
+        ...payload,
+        isFromCurrentUser: participant.userId.toString() === senderId
+      });
+
+      if (participant.userId.toString() !== senderId) {
+        await pushUnreadCount(participant.userId);
+      }
+    }
+  } catch (error) {
+    console.error('Erreur lors de la diffusion du message:', error);
+  }
+};
+
+// Diffusion des accusés de lecture
+const onMessagesRead = async ({ conversationId, userId, readAt }) => {
+  try {
+    const conversation = await Conversation.findById(conversationId).select('participants');
+    if (!conversation) return;
+
+    conversation.participants.forEach(participant => {
+      if (participant.userId.toString() !== userId.toString()) {
+        sendToUser(participant.userId, 'message:read', {
+          conversationId,
+          readBy: userId,
+          readAt
+        });
+      }
+    });
+
+    await pushUnreadCount(userId);
+  } catch (error) {
+    console.error('Erreur lors de la diffusion des accusés de lecture:', error);
+  }
+};
+
+// Traitement des événements envoyés par un client
+const handleClientEvent = async (socket, user, raw) => {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, 'error', { message: 'Message JSON invalide' });
+  }
+
+  const { type, data = {} } = event;
+
+  if (type === 'ping') {
+    return send(socket, 'pong', { timestamp: new Date().toISOString() });
+  }
+
+  if (type !== 'typing' && type !== 'read') {
+    return send(socket, 'error', { message: `Type d'événement inconnu: ${type}` });
+  }
+
+  const conversation = data.conversationId
+    ? await Conversation.findById(data.conversationId).catch(() => null)
+    : null;
+
+  if (!conversation || !conversation.isActive || !conversation.hasParticipant(user._id)) {
+    return send(socket, 'error', { message: 'Conversation non trouvée' });
+  }
+
+  if (type === 'typing') {
+    // Aucun indicateur de saisie entre utilisateurs bloqués
+    if (await conversation.isBlockedFor(user._id)) {
+      return send(socket, 'error', { message: 'Conversation non trouvée' });
+    }
+
+    conversation.participants.forEach(participant => {
+      if (participant.userId.toString() !== user._id.toString()) {
+        sendToUser(participant.userId, 'typing', {
+          conversationId: conversation._id,
+          userId: user._id,
+          userName: `${user.firstName} ${user.lastName}`,
+          isTyping: data.isTyping !== false,
+          expiresIn: TYPING_TIMEOUT
+        });
+      }
+    });
+    return;
+  }
+
+  // type === 'read'
+  await conversation.markAsRead(user._id);
+  await Message.markConversationAsRead(conversation._id, user._id);
+};
+
+// Fonction pour attacher la passerelle WebSocket au serveur HTTP
+const attachSocketServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Authentification pendant la poignée de main HTTP (même JWT que l'API)
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/ws') {
+      socket.destroy();
+      return;
+    }
+
+    const token = extractToken(req);
+    let user = null;
+    let session = null;
+
+    try {
+      ({ user, session } = token ? await resolveUserFromToken(token) : {});
+    } catch (error) {
+      user = null;
+    }
+
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.sessionId = session._id.toString();
+      wss.emit('connection', ws, req, user);
+    });
+  });
+
+  wss.on('connection', (ws, req, user) => {
+    const userId = user._id.toString();
+
+    if (!clients.has(userId)) {
+      clients.set(userId, new Set());
+    }
+    clients.get(userId).add(ws);
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+      handleClientEvent(ws, user, raw.toString()).catch(error => {
+        console.error('Erreur lors du traitement d\'un événement WebSocket:', error);
+        send(ws, 'error', { message: 'Erreur interne du serveur' });
+      });
+    });
+
+    ws.on('close', () => {
+      const sockets = clients.get(userId);
+      if (sockets) {
+        sockets.delete(ws);
+        if (sockets.size === 0) clients.delete(userId);
+      }
+    });
+
+    send(ws, 'connected', { userId });
+    pushUnreadCount(user._id).catch(error => {
+      console.error('Erreur lors du comptage des messages non lus:', error);
+    });
+  });
+
+  // Fermer les connexions mortes
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (ws.isAlive === false) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  appEvents.on('message:created', onMessageCreated);
+  appEvents.on('messages:read', onMessagesRead);
+  appEvents.on('session:revoked', onSessionRevoked);
+  appEvents.on('user:suspended', onUserSuspended);
+
+  return wss;
+};
+
+module.exports = {
+  attachSocketServer,
+  sendToUser,
+  isOnline
+};
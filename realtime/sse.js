@@ -0,0 +1,206 @@
+const Conversation = require('../models/Conversation');
+const appEvents = require('../utils/events');
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // commentaire keep-alive toutes les 25 secondes
+const RETRY_DELAY = 5 * 1000; // délai de reconnexion conseillé au navigateur
+const BUFFER_SIZE = 100; // nombre d'événements conservés par utilisateur pour la reprise
+const BUFFER_TTL = 60 * 60 * 1000; // durée de conservation des événements (1 heure)
+const SWEEP_INTERVAL = 5 * 60 * 1000; // purge des tampons expirés toutes les 5 minutes
+
+// Flux ouverts par utilisateur : userId -> Set<Response>
+const streams = new Map();
+
+// Derniers événements par utilisateur pour la reprise via Last-Event-ID
+const buffers = new Map();
+
+// Identifiants croissants, initialisés à l'horloge pour rester monotones après un redémarrage
+let sequence = Date.now();
+
+// Fonction pour écrire un événement sur un flux
+const write = (res, entry) => {
+  res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+  if (res.flush) res.flush(); // nécessaire avec le middleware compression
+};
+
+// Fonction pour mémoriser un événement dans le tampon d'un utilisateur
+// (seulement s'il a un flux ouvert ou récemment fermé : rien n'est conservé pour les autres)
+const remember = (userId, entry) => {
+  if (!streams.has(userId) && !buffers.has(userId)) return;
+
+  const now = Date.now();
+  const buffer = (buffers.get(userId) || []).filter(e => now - e.createdAt < BUFFER_TTL);
+
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  buffers.set(userId, buffer);
+};
+
+// Fonction pour supprimer les événements expirés et les tampons vides
+const sweepBuffers = () => {
+  const now = Date.now();
+
+  buffers.forEach((buffer, userId) => {
+    const recent = buffer.filter(e => now - e.createdAt < BUFFER_TTL);
+    if (recent.length > 0) {
+      buffers.set(userId, recent);
+    } else if (!streams.has(userId)) {
+      buffers.delete(userId);
+    } else {
+      buffers.set(userId, []);
+    }
+  });
+};
+
+setInterval(sweepBuffers, SWEEP_INTERVAL).unref();
+
+// Fonction pour publier un événement à un utilisateur
+const publish = (userId, event, data) => {
+  const key = userId.toString();
+  const entry = {
+    id: ++sequence,
+    event,
+    data,
+    createdAt: Date.now()
+  };
+
+  remember(key, entry);
+
+  const userStreams = streams.get(key);
+  if (userStreams) {
+    userStreams.forEach(res => write(res, entry));
+  }
+
+  return entry;
+};
+
+// Fonction pour fermer les flux d'un utilisateur (tous, ou seulement ceux acceptés par le filtre)
+// après un dernier événement indiquant la raison (le client ne doit pas se reconnecter)
+const closeStreams = (userId, event, filter = () => true) => {
+  const userStreams = streams.get(userId.toString());
+  if (!userStreams) return;
+
+  userStreams.forEach(res => {
+    if (!filter(res)) return;
+    res.write(`event: ${event}\ndata: {}\n\n`);
+    res.end();
+  });
+};
+
+// Fonction pour ouvrir un flux SSE pour un utilisateur (rattaché à sa session pour la révocation)
+const openStream = (req, res, user, session) => {
+  const key = user._id.toString();
+  res.sessionId = session._id.toString();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  // Rejouer les événements manqués depuis le dernier identifiant reçu
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (!Number.isNaN(lastEventId)) {
+    (buffers.get(key) || [])
+      .filter(entry => entry.id > lastEventId)
+      .forEach(entry => write(res, entry));
+  }
+
+  if (!streams.has(key)) {
+    streams.set(key, new Set());
+  }
+  streams.get(key).add(res);
+  if (!buffers.has(key)) buffers.set(key, []);
+
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    if (res.flush) res.flush();
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const userStreams = streams.get(key);
+    if (userStreams) {
+      userStreams.delete(res);
+      if (userStreams.size === 0) streams.delete(key);
+    }
+  });
+};
+
+// Session révoquée (déconnexion, changement de mot de passe...) : fermer les flux ouverts avec elle
+appEvents.on('session:revoked', ({ userId, sessionId = null, exceptSessionId = null }) => {
+  closeStreams(userId, 'session-revoked', (res) => (sessionId
+    ? res.sessionId === sessionId.toString()
+    : !exceptSessionId || res.sessionId !== exceptSessionId.toString()));
+});
+
+// Compte suspendu : fermer tous ses flux
+appEvents.on('user:suspended', ({ userId }) => {
+  closeStreams(userId, 'account-suspended');
+});
+
+// Nouveau message : prévenir les autres participants
+appEvents.on('message:created', async (message) => {
+  try {
+    const conversation = await Conversation.findById(message.conversationId).select('participants');
+    if (!conversation) return;
+
+    const senderId = message.senderId && message.senderId._id ? message.senderId._id : message.senderId;
+
+    conversation.participants.forEach(participant => {
+      if (participant.userId.toString() !== senderId.toString()) {
+        publish(participant.userId, 'message', {
+          conversationId: message.conversationId,
+          messageId: message._id,
+          senderId,
+          senderName: message.senderName,
+          content: message.content.substring(0, 100),
+          messageType: message.messageType,
+          quoteId: message.quoteId,
+          createdAt: message.createdAt
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la publication SSE du message:', error);
+  }
+});
+
+// Nouvelle demande sur un service du prestataire
+appEvents.on('service-request:created', (request) => {
+  publish(request.providerId, 'service-request', {
+    requestId: request._id,
+    serviceId: request.serviceId,
+    serviceTitle: request.serviceTitle,
+    clientId: request.clientId,
+    clientName: request.clientName,
+    proposedDate: request.proposedDate,
+    createdAt: request.createdAt
+  });
+});
+
+// Nouvel avis publié sur un service du prestataire
+appEvents.on('review:created', (review) => {
+  publish(review.providerId, 'review', {
+    reviewId: review._id,
+    serviceId: review.serviceId,
+    reviewerId: review.reviewerId,
+    reviewerName: review.reviewerName,
+    rating: review.rating,
+    createdAt: review.createdAt
+  });
+});
+
+// Notification persistée : pousser l'entrée du centre de notifications
+appEvents.on('notification:created', (notification) => {
+  publish(notification.userId, 'notification', notification.toPublic());
+});
+
+module.exports = {
+  openStream,
+  publish
+};
@@ -0,0 +1,1314 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const Service = require('../models/Service');
+const ServiceRequest = require('../models/ServiceRequest');
+const Message = require('../models/Message');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Report = require('../models/Report');
+const Payout = require('../models/Payout');
+const VerificationDocument = require('../models/VerificationDocument');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { loadTarget, hideTarget, restoreTarget } = require('../utils/moderation');
+const appEvents = require('../utils/events');
+const { cancelPayout, completePayout } = require('../utils/ledger');
+const { DOCUMENT_LABELS, refreshVerification, sendVerificationDocument } = require('../utils/verification');
+
+const router = express.Router();
+
+// Validation d'une action de modération (raison obligatoire pour l'audit)
+const reasonValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('La raison est obligatoire')
+    .isLength({ max: 500 })
+    .withMessage('La raison ne peut pas dépasser 500 caractères')
+];
+
+// Fonction pour formatter un utilisateur pour le back office
+const formatUser = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: user.fullName,
+  phone: user.phone,
+  type: user.type,
+  role: user.role,
+  isActive: user.isActive,
+  isPhoneVerified: user.isPhoneVerified,
+  isSuspended: user.isSuspended(),
+  suspension: user.isSuspended() ? {
+    reason: user.suspension.reason,
+    until: user.suspension.until,
+    suspendedAt: user.suspension.suspendedAt
+  } : null,
+  rating: user.rating,
+  ratingCount: user.ratingCount,
+  badges: user.getBadges(),
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+// Route pour lister les utilisateurs
+router.get('/users', authenticateToken, requirePermission('users:read'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('type').optional().isIn(['particulier', 'prestataire']),
+  query('role').optional().isIn(Object.keys(User.ROLE_PERMISSIONS)),
+  query('status').optional().isIn(['active', 'suspended', 'deleted']),
+  query('q').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, type, role, status, q } = req.query;
+
+    const criteria = {};
+    if (type) criteria.type = type;
+    if (role) criteria.role = role;
+    if (status === 'active') {
+      criteria.isActive = true;
+      criteria['suspension.isSuspended'] = { $ne: true };
+    }
+    if (status === 'suspended') criteria['suspension.isSuspended'] = true;
+    if (status === 'deleted') criteria.isActive = false;
+
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      criteria.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { phone: pattern }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(criteria)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await User.countDocuments(criteria);
+
+    res.json({
+      success: true,
+      users: users.map(formatUser),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: users.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des utilisateurs:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir le détail d'un utilisateur
+router.get('/users/:id', authenticateToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        error: true,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const [servicesCount, requestsCount, reviewsCount, activeSessions] = await Promise.all([
+      Service.countDocuments({ userId: user._id }),
+      ServiceRequest.countDocuments({ $or: [{ clientId: user._id }, { providerId: user._id }] }),
+      Review.countDocuments({ $or: [{ reviewerId: user._id }, { providerId: user._id }] }),
+      Session.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.json({
+      success: true,
+      user: {
+        ...formatUser(user),
+        bio: user.bio,
+        avatar: user.avatar,
+        counts: {
+          services: servicesCount,
+          requests: requestsCount,
+          reviews: reviewsCount,
+          activeSessions
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'utilisateur:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour suspendre un utilisateur
+router.put('/users/:id/suspend', authenticateToken, requirePermission('users:suspend'), [
+  ...reasonValidation,
+  body('until')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date de fin de suspension invalide')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('La date de fin de suspension doit être dans le futur')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Vous ne pouvez pas suspendre votre propre compte'
+      });
+    }
+
+    // Seul un administrateur peut suspendre un membre de l'équipe
+    if (user.role !== 'user' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: true,
+        message: 'Seul un administrateur peut suspendre un membre de l\'équipe'
+      });
+    }
+
+    const { reason, until } = req.body;
+
+    await user.suspend(reason, until ? new Date(until) : null, req.user._id);
+    await Session.revokeAllForUser(user._id, 'account_suspended');
+    await AuditLog.record(req.user, 'user.suspend', 'User', user._id, reason, { until: until || null });
+
+    res.json({
+      success: true,
+      message: 'Utilisateur suspendu avec succès',
+      user: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suspension de l\'utilisateur:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour lever la suspension d'un utilisateur
+router.put('/users/:id/unsuspend', authenticateToken, requirePermission('users:suspend'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user || !user.suspension.isSuspended) {
+      return res.status(404).json({
+        error: true,
+        message: 'Utilisateur suspendu non trouvé'
+      });
+    }
+
+    await user.unsuspend();
+    await AuditLog.record(req.user, 'user.unsuspend', 'User', user._id, req.body.reason || '');
+
+    appEvents.emit('account:event', {
+      userId: user._id,
+      title: 'Suspension levée',
+      body: 'Votre compte est de nouveau actif'
+    });
+
+    res.json({
+      success: true,
+      message: 'Suspension levée avec succès',
+      user: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la levée de suspension:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour changer le rôle d'un utilisateur (administrateurs uniquement)
+router.put('/users/:id/role', authenticateToken, requirePermission('users:manage-roles'), [
+  body('role')
+    .isIn(Object.keys(User.ROLE_PERMISSIONS))
+    .withMessage('Rôle invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Vous ne pouvez pas modifier votre propre rôle'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    await AuditLog.record(req.user, 'user.role', 'User', user._id, req.body.reason || '', {
+      from: previousRole,
+      to: user.role
+    });
+
+    res.json({
+      success: true,
+      message: 'Rôle mis à jour avec succès',
+      user: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du changement de rôle:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour lister les services (y compris désactivés)
+router.get('/services', authenticateToken, requirePermission('services:moderate'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('status').optional().isIn(['active', 'inactive']),
+  query('userId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, userId } = req.query;
+
+    const criteria = {};
+    if (status) criteria.isActive = status === 'active';
+    if (userId) criteria.userId = userId;
+
+    const skip = (page - 1) * limit;
+
+    const services = await Service.find(criteria)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await Service.countDocuments(criteria);
+
+    res.json({
+      success: true,
+      services: services.map(service => ({
+        id: service._id,
+        title: service.title,
+        category: service.category,
+        userId: service.userId,
+        userName: service.userName,
+        isActive: service.isActive,
+        views: service.views,
+        requests: service.requests,
+        rating: service.rating,
+        ratingCount: service.ratingCount,
+        createdAt: service.createdAt
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: services.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des services:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour désactiver un service
+router.put('/services/:id/deactivate', authenticateToken, requirePermission('services:moderate'), reasonValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.params.id);
+
+    if (!service || !service.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Service non trouvé'
+      });
+    }
+
+    service.isActive = false;
+    await service.save();
+
+    await AuditLog.record(req.user, 'service.deactivate', 'Service', service._id, req.body.reason);
+
+    appEvents.emit('account:event', {
+      userId: service.userId,
+      title: 'Service désactivé par la modération',
+      body: `Votre service "${service.title}" a été désactivé : ${req.body.reason}`,
+      data: { serviceId: service._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Service désactivé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la désactivation du service:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour réactiver un service
+router.put('/services/:id/reactivate', authenticateToken, requirePermission('services:moderate'), async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service || service.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Service désactivé non trouvé'
+      });
+    }
+
+    service.isActive = true;
+    await service.save();
+
+    await AuditLog.record(req.user, 'service.reactivate', 'Service', service._id, req.body.reason || '');
+
+    res.json({
+      success: true,
+      message: 'Service réactivé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la réactivation du service:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour consulter la file de modération des signalements
+router.get('/reports', authenticateToken, requirePermission('reports:read'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('status').optional().isIn([...Report.STATUSES, 'pending']),
+  query('targetType').optional().isIn(Report.TARGET_TYPES),
+  query('reason').optional().isIn(Report.REASONS),
+  query('assignedToMe').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'pending', targetType, reason, assignedToMe } = req.query;
+
+    const criteria = {};
+    criteria.status = status === 'pending' ? { $in: Report.PENDING_STATUSES } : status;
+    if (targetType) criteria.targetType = targetType;
+    if (reason) criteria.reason = reason;
+    if (assignedToMe) criteria.assignedTo = req.user._id;
+
+    const skip = (page - 1) * limit;
+
+    // Les plus anciens signalements en premier
+    const reports = await Report.find(criteria)
+      .populate('reporterId', 'firstName lastName')
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await Report.countDocuments(criteria);
+
+    // Nombre de signalements en attente sur chaque contenu de la page
+    const pendingCounts = await Report.aggregate([
+      {
+        $match: {
+          targetId: { $in: reports.map(report => report.targetId) },
+          status: { $in: Report.PENDING_STATUSES }
+        }
+      },
+      { $group: { _id: { targetType: '$targetType', targetId: '$targetId' }, count: { $sum: 1 } } }
+    ]);
+
+    const countFor = (report) => {
+      const entry = pendingCounts.find(item =>
+        item._id.targetType === report.targetType && item._id.targetId.equals(report.targetId)
+      );
+      return entry ? entry.count : 0;
+    };
+
+    res.json({
+      success: true,
+      reports: reports.map(report => ({
+        ...report.toPublic(),
+        reporter: report.reporterId ? {
+          id: report.reporterId._id,
+          name: `${report.reporterId.firstName} ${report.reporterId.lastName}`
+        } : null,
+        reporterId: report.reporterId ? report.reporterId._id : null,
+        pendingReportsOnTarget: countFor(report)
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: reports.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des signalements:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir un signalement avec le contenu visé
+router.get('/reports/:id', authenticateToken, requirePermission('reports:read'), async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        error: true,
+        message: 'Signalement non trouvé'
+      });
+    }
+
+    const target = await loadTarget(report.targetType, report.targetId);
+
+    // Autres signalements sur le même contenu et historique de l'auteur
+    const [relatedReports, ownerReportCount] = await Promise.all([
+      Report.find({
+        targetType: report.targetType,
+        targetId: report.targetId,
+        _id: { $ne: report._id }
+      }).sort({ createdAt: -1 }).limit(50),
+      report.targetOwnerId
+        ? Report.countDocuments({ targetOwnerId: report.targetOwnerId, status: 'actioned' })
+        : 0
+    ]);
+
+    let targetSnapshot = null;
+    if (target) {
+      targetSnapshot = report.targetType === 'User'
+        ? formatUser(target)
+        : target.toObject();
+    }
+
+    res.json({
+      success: true,
+      report: report.toPublic(),
+      target: targetSnapshot,
+      relatedReports: relatedReports.map(related => related.toPublic()),
+      ownerActionedReports: ownerReportCount
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du signalement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour prendre en charge un signalement
+router.put('/reports/:id/review', authenticateToken, requirePermission('reports:moderate'), async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+
+    if (!report || !Report.PENDING_STATUSES.includes(report.status)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Signalement en attente non trouvé'
+      });
+    }
+
+    report.status = 'reviewing';
+    report.assignedTo = req.user._id;
+    await report.save();
+
+    await AuditLog.record(req.user, 'report.review', 'Report', report._id, '');
+
+    res.json({
+      success: true,
+      message: 'Signalement pris en charge',
+      report: report.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la prise en charge du signalement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour trancher un signalement (s'applique à tous les signalements en attente sur le même contenu)
+router.put('/reports/:id/resolve', authenticateToken, requirePermission('reports:moderate'), [
+  body('decision')
+    .isIn(['actioned', 'dismissed'])
+    .withMessage('Décision invalide'),
+
+  body('action')
+    .optional()
+    .isIn(['hide_content', 'suspend_user', 'none'])
+    .withMessage('Action invalide'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La note ne peut pas dépasser 500 caractères'),
+
+  body('until')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date de fin de suspension invalide')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('La date de fin de suspension doit être dans le futur')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report || !Report.PENDING_STATUSES.includes(report.status)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Signalement en attente non trouvé'
+      });
+    }
+
+    const { decision, note = '', until } = req.body;
+    const action = decision === 'dismissed' ? 'none' : (req.body.action || 'hide_content');
+
+    const target = await loadTarget(report.targetType, report.targetId);
+    const owner = report.targetOwnerId ? await User.findById(report.targetOwnerId) : null;
+
+    if (action === 'suspend_user') {
+      if (!owner || !owner.isActive) {
+        return res.status(404).json({
+          error: true,
+          message: 'Utilisateur non trouvé'
+        });
+      }
+
+      if (!req.user.hasPermission('users:suspend')) {
+        return res.status(403).json({
+          error: true,
+          message: 'Permissions insuffisantes'
+        });
+      }
+
+      if (owner.role !== 'user' && req.user.role !== 'admin') {
+        return res.status(403).json({
+          error: true,
+          message: 'Seul un administrateur peut suspendre un membre de l\'équipe'
+        });
+      }
+    }
+
+    let contentChanged = false;
+    if (target) {
+      if (decision === 'dismissed') {
+        // Rétablir un contenu masqué automatiquement à tort
+        contentChanged = await restoreTarget(report.targetType, target);
+      } else if (action !== 'none') {
+        contentChanged = await hideTarget(report.targetType, target);
+      }
+    }
+
+    if (action === 'suspend_user') {
+      await owner.suspend(note || `Signalement: ${report.reason}`, until ? new Date(until) : null, req.user._id);
+      await Session.revokeAllForUser(owner._id, 'account_suspended');
+      await AuditLog.record(req.user, 'user.suspend', 'User', owner._id, note, {
+        until: until || null,
+        reportId: report._id
+      });
+    }
+
+    // Les autres signalements sur le même contenu sont clôturés avec la même décision
+    const reporters = await Report.find({
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status: { $in: Report.PENDING_STATUSES }
+    }).distinct('reporterId');
+
+    const result = await Report.resolveAllForTarget(report.targetType, report.targetId, decision, {
+      action,
+      note,
+      resolvedBy: req.user._id
+    });
+
+    await AuditLog.record(req.user, `report.${decision}`, 'Report', report._id, note, {
+      targetType: report.targetType,
+      targetId: report.targetId,
+      action,
+      contentChanged,
+      reportsClosed: result.modifiedCount
+    });
+
+    reporters.forEach(reporterId => {
+      appEvents.emit('account:event', {
+        userId: reporterId,
+        title: 'Signalement traité',
+        body: decision === 'actioned'
+          ? 'Merci, le contenu que vous avez signalé a fait l\'objet d\'une mesure de modération'
+          : 'Merci, le contenu que vous avez signalé a été examiné et jugé conforme',
+        data: { targetType: report.targetType, targetId: report.targetId }
+      });
+    });
+
+    if (owner && decision === 'actioned' && report.targetType !== 'User') {
+      appEvents.emit('account:event', {
+        userId: owner._id,
+        title: 'Contenu modéré',
+        body: note
+          ? `Un de vos contenus a été masqué par la modération : ${note}`
+          : 'Un de vos contenus a été masqué par la modération',
+        data: { targetType: report.targetType, targetId: report.targetId }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'actioned' ? 'Signalement traité' : 'Signalement classé sans suite',
+      decision,
+      action,
+      contentChanged,
+      reportsClosed: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du traitement du signalement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour lister les demandes de versement des prestataires (plus anciennes en premier)
+router.get('/payouts', authenticateToken, requirePermission('payouts:manage'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('status').optional().isIn(Payout.STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const criteria = status ? { status } : { status: { $in: Payout.OPEN_STATUSES } };
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(criteria)
+        .populate('providerId', 'firstName lastName phone')
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Payout.countDocuments(criteria)
+    ]);
+
+    res.json({
+      success: true,
+      payouts: payouts.map(payout => ({
+        ...payout.toPublic(),
+        // Compte complet visible par l'équipe pour effectuer le virement
+        accountReference: payout.accountReference,
+        provider: payout.providerId ? {
+          id: payout.providerId._id,
+          fullName: `${payout.providerId.firstName} ${payout.providerId.lastName}`,
+          phone: payout.providerId.phone
+        } : null,
+        providerId: payout.providerId ? payout.providerId._id : null
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: payouts.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des versements:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour prendre en charge un versement (virement en cours)
+router.put('/payouts/:id/process', authenticateToken, requirePermission('payouts:manage'), async (req, res) => {
+  try {
+    const payout = await Payout.transition(req.params.id, ['requested'], 'processing', req.user._id);
+
+    if (!payout) {
+      return res.status(409).json({
+        error: true,
+        message: 'Versement introuvable ou déjà pris en charge'
+      });
+    }
+
+    await AuditLog.record(req.user, 'payout.process', 'Payout', payout._id, '', { amount: payout.amount });
+
+    res.json({
+      success: true,
+      message: 'Versement pris en charge',
+      payout: payout.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la prise en charge du versement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour confirmer qu'un versement a été effectué
+router.put('/payouts/:id/pay', authenticateToken, requirePermission('payouts:manage'), [
+  body('transferReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La référence du virement ne peut pas dépasser 100 caractères')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const payout = await Payout.findById(req.params.id);
+    const paid = payout && await completePayout(payout, req.user._id, req.body.transferReference || '');
+
+    if (!paid) {
+      return res.status(409).json({
+        error: true,
+        message: 'Versement introuvable ou déjà clôturé'
+      });
+    }
+
+    await AuditLog.record(req.user, 'payout.pay', 'Payout', paid._id, '', {
+      amount: paid.amount,
+      transferReference: paid.transferReference
+    });
+    appEvents.emit('payout:updated', { payout: paid, note: paid.transferReference });
+
+    res.json({
+      success: true,
+      message: 'Versement effectué',
+      payout: paid.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la confirmation du versement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour rejeter un versement (le montant est recrédité sur le solde disponible)
+router.put('/payouts/:id/reject', authenticateToken, requirePermission('payouts:manage'), reasonValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const payout = await Payout.findById(req.params.id);
+    const rejected = payout && await cancelPayout(payout, req.user._id, reason, 'rejected');
+
+    if (!rejected) {
+      return res.status(409).json({
+        error: true,
+        message: 'Versement introuvable ou déjà clôturé'
+      });
+    }
+
+    await AuditLog.record(req.user, 'payout.reject', 'Payout', rejected._id, reason, { amount: rejected.amount });
+    appEvents.emit('payout:updated', { payout: rejected, note: reason });
+
+    res.json({
+      success: true,
+      message: 'Versement rejeté',
+      payout: rejected.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du rejet du versement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour lister les justificatifs des prestataires (en attente par défaut, plus anciens d'abord)
+router.get('/verifications', authenticateToken, requirePermission('verifications:review'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('status').optional().isIn(VerificationDocument.STATUSES),
+  query('type').optional().isIn(VerificationDocument.TYPES),
+  query('userId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'pending', type, userId } = req.query;
+    const criteria = { status };
+    if (type) criteria.type = type;
+    if (userId) criteria.userId = userId;
+
+    const [documents, total] = await Promise.all([
+      VerificationDocument.find(criteria)
+        .populate('userId', 'firstName lastName phone type verification rating ratingCount')
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      VerificationDocument.countDocuments(criteria)
+    ]);
+
+    res.json({
+      success: true,
+      documents: documents.map(document => ({
+        ...document.toPublic(),
+        userId: document.userId ? document.userId._id : null,
+        user: document.userId ? {
+          id: document.userId._id,
+          fullName: `${document.userId.firstName} ${document.userId.lastName}`,
+          phone: document.userId.phone,
+          badges: document.userId.getBadges()
+        } : null,
+        fileUrl: `/api/admin/verifications/${document._id}/file`
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: documents.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des justificatifs:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour consulter le fichier d'un justificatif
+router.get('/verifications/:id/file', authenticateToken, requirePermission('verifications:review'), async (req, res) => {
+  try {
+    const document = await VerificationDocument.findById(req.params.id).select('+content');
+
+    if (!document) {
+      return res.status(404).json({
+        error: true,
+        message: 'Document non trouvé'
+      });
+    }
+
+    sendVerificationDocument(res, document);
+
+  } catch (error) {
+    console.error('Erreur lors de la consultation du justificatif:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour valider un justificatif (met à jour les badges du prestataire)
+router.put('/verifications/:id/approve', authenticateToken, requirePermission('verifications:review'), [
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date d\'expiration invalide')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Le document est déjà expiré'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La note ne peut pas dépasser 500 caractères')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { expiresAt, note = '' } = req.body;
+
+    // La date de validité relevée par l'équipe remplace celle déclarée par le prestataire
+    if (expiresAt) {
+      await VerificationDocument.updateOne(
+        { _id: req.params.id, status: 'pending' },
+        { $set: { expiresAt: new Date(expiresAt) } }
+      );
+    }
+
+    const document = await VerificationDocument.review(req.params.id, ['pending'], 'approved', req.user._id, note);
+
+    if (!document) {
+      return res.status(409).json({
+        error: true,
+        message: 'Document introuvable ou déjà examiné'
+      });
+    }
+
+    const provider = await refreshVerification(document.userId);
+
+    await AuditLog.record(req.user, 'verification.approve', 'VerificationDocument', document._id, note, {
+      userId: document.userId,
+      type: document.type
+    });
+    appEvents.emit('account:event', {
+      userId: document.userId,
+      title: 'Document validé',
+      body: `Votre document (${DOCUMENT_LABELS[document.type]}) a été validé par notre équipe`,
+      data: { documentId: document._id, type: document.type, badges: provider ? provider.getBadges() : [] }
+    });
+
+    res.json({
+      success: true,
+      message: 'Document validé',
+      document: document.toPublic(),
+      badges: provider ? provider.getBadges() : []
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la validation du justificatif:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour refuser un justificatif (ou retirer une validation, les badges sont recalculés)
+router.put('/verifications/:id/reject', authenticateToken, requirePermission('verifications:review'), reasonValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const document = await VerificationDocument.review(req.params.id, ['pending', 'approved'], 'rejected', req.user._id, reason);
+
+    if (!document) {
+      return res.status(409).json({
+        error: true,
+        message: 'Document introuvable ou déjà refusé'
+      });
+    }
+
+    const provider = await refreshVerification(document.userId);
+
+    await AuditLog.record(req.user, 'verification.reject', 'VerificationDocument', document._id, reason, {
+      userId: document.userId,
+      type: document.type
+    });
+    appEvents.emit('account:event', {
+      userId: document.userId,
+      title: 'Document refusé',
+      body: `Votre document (${DOCUMENT_LABELS[document.type]}) a été refusé : ${reason}`,
+      data: { documentId: document._id, type: document.type, badges: provider ? provider.getBadges() : [] }
+    });
+
+    res.json({
+      success: true,
+      message: 'Document refusé',
+      document: document.toPublic(),
+      badges: provider ? provider.getBadges() : []
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du refus du justificatif:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir les métriques de la plateforme
+router.get('/metrics', authenticateToken, requirePermission('metrics:read'), async (req, res) => {
+  try {
+    const now = Date.now();
+    const last24h = new Date(now - 24 * 60 * 60 * 1000);
+    const last7d = new Date(now - 7 * 24 * 60 * 60 * 1000);
+    const last30d = new Date(now - 30 * 24 * 60 * 60 * 1000);
+
+    const [
+      usersByType,
+      newUsers7d,
+      newUsers30d,
+      suspendedUsers,
+      activeSessions,
+      servicesByCategory,
+      newServices7d,
+      requestsByStatus,
+      messages24h,
+      reviewStats,
+      reportsByStatus
+    ] = await Promise.all([
+      User.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ]),
+      User.countDocuments({ createdAt: { $gte: last7d } }),
+      User.countDocuments({ createdAt: { $gte: last30d } }),
+      User.countDocuments({ 'suspension.isSuspended': true }),
+      Session.countDocuments({ revokedAt: null, expiresAt: { $gt: new Date() } }),
+      Service.getCategoryStats(),
+      Service.countDocuments({ createdAt: { $gte: last7d } }),
+      ServiceRequest.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Message.countDocuments({ createdAt: { $gte: last24h } }),
+      Review.aggregate([
+        { $group: { _id: null, count: { $sum: 1 }, avgRating: { $avg: '$rating' } } }
+      ]),
+      Report.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const toMap = (rows) => rows.reduce((map, row) => {
+      map[row._id] = row.count;
+      return map;
+    }, {});
+
+    res.json({
+      success: true,
+      metrics: {
+        users: {
+          byType: toMap(usersByType),
+          new7d: newUsers7d,
+          new30d: newUsers30d,
+          suspended: suspendedUsers,
+          activeSessions
+        },
+        services: {
+          byCategory: servicesByCategory,
+          new7d: newServices7d
+        },
+        requests: {
+          byStatus: toMap(requestsByStatus)
+        },
+        messages: {
+          last24h: messages24h
+        },
+        reviews: {
+          count: reviewStats.length > 0 ? reviewStats[0].count : 0,
+          averageRating: reviewStats.length > 0 ? Math.round(reviewStats[0].avgRating * 100) / 100 : 0
+        },
+        reports: {
+          byStatus: toMap(reportsByStatus)
+        },
+        generatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du calcul des métriques:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour consulter le journal d'audit des actions de l'équipe
+router.get('/audit-logs', authenticateToken, requirePermission('audit:read'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('targetType').optional().isIn(AuditLog.TARGET_TYPES),
+  query('targetId').optional().isMongoId(),
+  query('actorId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, targetType, targetId, actorId } = req.query;
+
+    const criteria = {};
+    if (targetType) criteria.targetType = targetType;
+    if (targetId) criteria.targetId = targetId;
+    if (actorId) criteria.actorId = actorId;
+
+    const skip = (page - 1) * limit;
+
+    const logs = await AuditLog.find(criteria)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await AuditLog.countDocuments(criteria);
+
+    res.json({
+      success: true,
+      logs,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: logs.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du journal d\'audit:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const OtpCode = require('../models/OtpCode');
+const Session = require('../models/Session');
+const { generateToken, issueTokens, getClientInfo, authenticateToken, JWT_EXPIRES_IN } = require('../middleware/auth');
+const appEvents = require('../utils/events');
+const { sendSms } = require('../utils/sms');
+const { sendPhoneVerificationCode } = require('../utils/phoneVerification');
 
 const router = express.Router();
 
@@ -88,12 +93,30 @@ router.post('/register', registerValidation, async (req, res) => {
 
     await user.save();
 
-    // Générer le token
-    const token = generateToken(user._id);
+    // Ouvrir une session et générer les tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(user._id, {
+      deviceName: req.body.deviceName,
+      req
+    });
 
     // Mettre à jour la dernière connexion
     await user.updateLastLogin();
 
+    appEvents.emit('account:event', {
+      userId: user._id,
+      title: 'Bienvenue sur Service Connect',
+      body: 'Votre compte a été créé avec succès'
+    });
+
+    // Envoyer le code de vérification du numéro (l'inscription reste valide en cas d'échec)
+    let verificationCodeSent = true;
+    try {
+      await sendPhoneVerificationCode(user);
+    } catch (error) {
+      verificationCodeSent = false;
+      console.error('Erreur lors de l\'envoi du code de vérification:', error);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Inscription réussie',
@@ -104,9 +127,13 @@ router.post('/register', registerValidation, async (req, res) => {
         phone: user.phone,
         type: user.type,
         fullName: user.fullName,
-        initials: user.initials
+        initials: user.initials,
+        isPhoneVerified: user.isPhoneVerified
       },
-      token
+      verificationCodeSent,
+      token,
+      refreshToken,
+      expiresIn
     });
 
   } catch (error) {
@@ -163,9 +190,21 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    // Générer le token avec durée adaptée
-    const tokenExpiry = rememberMe ? '30d' : '7d';
-    const token = generateToken(user._id);
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        error: true,
+        message: 'Compte suspendu',
+        reason: user.suspension.reason,
+        until: user.suspension.until
+      });
+    }
+
+    // Ouvrir une session (refresh token de 30 jours avec "se souvenir de moi")
+    const { token, refreshToken, expiresIn } = await issueTokens(user._id, {
+      rememberMe: rememberMe === true || rememberMe === 'true',
+      deviceName: req.body.deviceName,
+      req
+    });
 
     // Mettre à jour la dernière connexion
     await user.updateLastLogin();
@@ -181,12 +220,16 @@ router.post('/login', loginValidation, async (req, res) => {
         type: user.type,
         fullName: user.fullName,
         initials: user.initials,
+        role: user.role,
+        isPhoneVerified: user.isPhoneVerified,
         avatar: user.avatar,
         bio: user.bio,
         rating: user.rating,
         ratingCount: user.ratingCount
       },
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
 
   } catch (error) {
@@ -211,6 +254,8 @@ router.get('/verify', authenticateToken, async (req, res) => {
         type: req.user.type,
         fullName: req.user.fullName,
         initials: req.user.initials,
+        role: req.user.role,
+        isPhoneVerified: req.user.isPhoneVerified,
         avatar: req.user.avatar,
         bio: req.user.bio,
         rating: req.user.rating,
@@ -226,11 +271,189 @@ router.get('/verify', authenticateToken, async (req, res) => {
   }
 });
 
-// Route de déconnexion (côté client principalement)
+// Route pour (r)envoyer le code de vérification du numéro de téléphone
+router.post('/phone/send-code', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.isPhoneVerified) {
+      return res.status(400).json({
+        error: true,
+        message: 'Votre numéro de téléphone est déjà vérifié'
+      });
+    }
+
+    await sendPhoneVerificationCode(req.user);
+
+    res.json({
+      success: true,
+      message: 'Code de vérification envoyé par SMS'
+    });
+
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Erreur lors de l\'envoi du code de vérification:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour vérifier le numéro de téléphone avec le code reçu
+router.post('/phone/verify', authenticateToken, [
+  body('code')
+    .trim()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Le code doit contenir 6 chiffres')
+    .isNumeric()
+    .withMessage('Le code doit contenir 6 chiffres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    if (req.user.isPhoneVerified) {
+      return res.status(400).json({
+        error: true,
+        message: 'Votre numéro de téléphone est déjà vérifié'
+      });
+    }
+
+    const result = await OtpCode.verify(req.user.phone, 'phone_verification', req.body.code);
+
+    if (result.status === 'expired' || (result.otp && result.otp.userId.toString() !== req.user._id.toString())) {
+      return res.status(400).json({
+        error: true,
+        message: 'Code expiré ou inexistant, veuillez en demander un nouveau'
+      });
+    }
+
+    if (result.status === 'locked') {
+      return res.status(429).json({
+        error: true,
+        message: 'Nombre maximal de tentatives atteint, veuillez demander un nouveau code'
+      });
+    }
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: true,
+        message: 'Code incorrect',
+        remainingAttempts: result.remainingAttempts
+      });
+    }
+
+    await req.user.markPhoneVerified();
+
+    res.json({
+      success: true,
+      message: 'Numéro de téléphone vérifié avec succès',
+      isPhoneVerified: true
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la vérification du numéro:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour renouveler le token d'accès à partir du refresh token
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Le refresh token est obligatoire')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { status, session } = await Session.findByRefreshToken(req.body.refreshToken);
+
+    // Un refresh token déjà tourné a été rejoué : la session est compromise
+    if (status === 'reused') {
+      await session.revoke('reuse_detected');
+      return res.status(401).json({
+        error: true,
+        message: 'Session révoquée, veuillez vous reconnecter'
+      });
+    }
+
+    if (status !== 'valid') {
+      return res.status(401).json({
+        error: true,
+        message: 'Refresh token invalide ou expiré'
+      });
+    }
+
+    const user = await User.findById(session.userId).select('isActive');
+    if (!user || !user.isActive) {
+      await session.revoke('account_deleted');
+      return res.status(401).json({
+        error: true,
+        message: 'Compte désactivé'
+      });
+    }
+
+    const refreshToken = await session.rotate(getClientInfo(req).ip);
+    if (!refreshToken) {
+      // Le même refresh token a été utilisé simultanément : traité comme un rejeu
+      await session.revoke('reuse_detected');
+      return res.status(401).json({
+        error: true,
+        message: 'Session révoquée, veuillez vous reconnecter'
+      });
+    }
+
+    // La dernière connexion suit l'activité de chaque session
+    await User.updateOne({ _id: session.userId }, { $set: { lastLogin: new Date() } });
+
+    res.json({
+      success: true,
+      token: generateToken(session.userId, session._id),
+      refreshToken,
+      expiresIn: JWT_EXPIRES_IN
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du renouvellement du token:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route de déconnexion : révoque la session courante (ou toutes avec allDevices)
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // Ici on pourrait invalider le token en le stockant dans une blacklist
-    // Pour l'instant, on se contente de répondre success
+    const allDevices = req.body.allDevices === true || req.body.allDevices === 'true';
+
+    if (allDevices) {
+      await Session.revokeAllForUser(req.user._id, 'logout_all');
+    } else {
+      await req.authSession.revoke('logout');
+    }
+
     res.json({
       success: true,
       message: 'Déconnexion réussie'
@@ -244,12 +467,142 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
-// Route pour réinitialiser le mot de passe (future implémentation)
-router.post('/forgot-password', async (req, res) => {
-  res.status(501).json({
-    error: true,
-    message: 'Fonctionnalité en cours de développement'
-  });
+// Route pour demander un code de réinitialisation du mot de passe
+router.post('/forgot-password', [
+  body('phone')
+    .trim()
+    .notEmpty()
+    .withMessage('Le numéro de téléphone est obligatoire')
+    .matches(/^[0-9+\-\s()]+$/)
+    .withMessage('Format de téléphone invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { phone } = req.body;
+    const user = await User.findOne({ phone, isActive: true });
+
+    // Même réponse, y compris la limitation des envois, que le compte existe ou non
+    // (pas d'énumération des numéros) : le code émis pour un numéro inconnu n'est jamais envoyé
+    const { code } = await OtpCode.issue(phone, 'password_reset', user ? user._id : null);
+    if (user) {
+      const minutes = Math.round(OtpCode.CODE_TTL / 60000);
+      await sendSms(phone, `Service Connect : votre code de réinitialisation est ${code}. Il expire dans ${minutes} minutes.`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Si un compte est associé à ce numéro, un code de réinitialisation a été envoyé par SMS'
+    });
+
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Erreur lors de la demande de réinitialisation:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour réinitialiser le mot de passe avec le code reçu
+router.post('/reset-password', [
+  body('phone')
+    .trim()
+    .notEmpty()
+    .withMessage('Le numéro de téléphone est obligatoire'),
+  
+  body('code')
+    .trim()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Le code doit contenir 6 chiffres')
+    .isNumeric()
+    .withMessage('Le code doit contenir 6 chiffres'),
+  
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Le nouveau mot de passe doit contenir au moins 6 caractères')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { phone, code, newPassword } = req.body;
+
+    const result = await OtpCode.verify(phone, 'password_reset', code);
+
+    if (result.status === 'expired') {
+      return res.status(400).json({
+        error: true,
+        message: 'Code expiré ou inexistant, veuillez en demander un nouveau'
+      });
+    }
+
+    if (result.status === 'locked') {
+      return res.status(429).json({
+        error: true,
+        message: 'Nombre maximal de tentatives atteint, veuillez demander un nouveau code'
+      });
+    }
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: true,
+        message: 'Code incorrect',
+        remainingAttempts: result.remainingAttempts
+      });
+    }
+
+    const user = await User.findOne({ _id: result.otp.userId, phone, isActive: true });
+    if (!user) {
+      return res.status(404).json({
+        error: true,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    // Le changement de mot de passe invalide toutes les sessions existantes
+    user.password = newPassword;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    appEvents.emit('account:event', {
+      userId: user._id,
+      title: 'Mot de passe réinitialisé',
+      body: 'Le mot de passe de votre compte a été réinitialisé. Toutes vos sessions ont été déconnectées.'
+    });
+
+    res.json({
+      success: true,
+      message: 'Mot de passe réinitialisé avec succès, veuillez vous reconnecter'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation du mot de passe:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
 });
 
 module.exports = router;
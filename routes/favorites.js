@@ -0,0 +1,214 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const Favorite = require('../models/Favorite');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { PROVIDER_SUMMARY_FIELDS, formatServiceSummary } = require('../utils/formatService');
+const { paginationValidation, applyCursor, buildPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Fonction pour formatter un prestataire mis en favori
+const formatProvider = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: `${user.firstName} ${user.lastName}`,
+  avatar: user.avatar,
+  bio: user.bio,
+  location: user.location,
+  rating: user.rating,
+  ratingCount: user.ratingCount
+});
+
+// Route pour lister les favoris (services ou prestataires)
+router.get('/', authenticateToken, [
+  ...paginationValidation(50),
+  query('type').optional().isIn(['services', 'providers'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { type = 'services', page = 1, limit = 20, cursor, includeTotal = !cursor } = req.query;
+    const targetType = type === 'providers' ? 'User' : 'Service';
+    const criteria = { userId: req.user._id, targetType };
+
+    const results = await Favorite.find(applyCursor(criteria, cursor))
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .skip(cursor ? 0 : (page - 1) * limit);
+
+    const { items: favorites, pagination } = await buildPage(results, {
+      limit,
+      page,
+      cursor,
+      countTotal: includeTotal ? () => Favorite.countDocuments(criteria) : null
+    });
+
+    const targetIds = favorites.map(favorite => favorite.targetId);
+
+    if (targetType === 'Service') {
+      const services = await Service.find({ _id: { $in: targetIds } })
+        .populate('userId', PROVIDER_SUMMARY_FIELDS);
+      const servicesById = new Map(services.map(service => [service._id.toString(), service]));
+
+      return res.json({
+        success: true,
+        // Les services supprimés ou désactivés restent listés pour pouvoir être retirés
+        services: favorites
+          .map(favorite => servicesById.get(favorite.targetId.toString()))
+          .filter(Boolean)
+          .map(service => ({
+            ...formatServiceSummary(service, { isFavorite: true }),
+            isAvailable: service.isActive
+          })),
+        pagination
+      });
+    }
+
+    const providers = await User.find({ _id: { $in: targetIds }, isActive: true })
+      .select('firstName lastName avatar bio location rating ratingCount');
+    const providersById = new Map(providers.map(provider => [provider._id.toString(), provider]));
+
+    res.json({
+      success: true,
+      providers: favorites
+        .map(favorite => providersById.get(favorite.targetId.toString()))
+        .filter(Boolean)
+        .map(formatProvider),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des favoris:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour ajouter un service aux favoris
+router.post('/services/:id', authenticateToken, async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service || !service.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Service non trouvé'
+      });
+    }
+
+    await Favorite.addFavorite(req.user._id, 'Service', service._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Service ajouté aux favoris'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout du favori:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour retirer un service des favoris
+router.delete('/services/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await Favorite.removeFavorite(req.user._id, 'Service', req.params.id);
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        error: true,
+        message: 'Favori non trouvé'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service retiré des favoris'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du favori:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour ajouter un prestataire aux favoris
+router.post('/providers/:id', authenticateToken, async (req, res) => {
+  try {
+    const provider = await User.findById(req.params.id);
+
+    if (!provider || !provider.isActive || provider.type !== 'prestataire') {
+      return res.status(404).json({
+        error: true,
+        message: 'Prestataire non trouvé'
+      });
+    }
+
+    if (provider._id.equals(req.user._id)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Vous ne pouvez pas vous ajouter à vos favoris'
+      });
+    }
+
+    await Favorite.addFavorite(req.user._id, 'User', provider._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prestataire ajouté aux favoris'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout du favori:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour retirer un prestataire des favoris
+router.delete('/providers/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await Favorite.removeFavorite(req.user._id, 'User', req.params.id);
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        error: true,
+        message: 'Favori non trouvé'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prestataire retiré des favoris'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du favori:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
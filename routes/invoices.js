@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult, query, param } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const ServiceRequest = require('../models/ServiceRequest');
+const { authenticateToken } = require('../middleware/auth');
+const { generateForRequest, getInvoicePdf } = require('../utils/invoices');
+
+const router = express.Router();
+
+// Validation de l'identifiant d'une facture
+const invoiceIdValidation = [
+  param('id').isMongoId().withMessage('Facture invalide')
+];
+
+// Route pour obtenir les factures de l'utilisateur (émises ou reçues)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('role').optional().isIn(['client', 'provider']),
+  query('requestId').optional().isMongoId().withMessage('Demande invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, role, requestId } = req.query;
+    const criteria = role
+      ? { [`${role}.id`]: req.user._id }
+      : { $or: [{ 'client.id': req.user._id }, { 'provider.id': req.user._id }] };
+    criteria.number = { $type: 'string' };
+    if (requestId) criteria.serviceRequestId = requestId;
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(criteria)
+        .sort({ issuedAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Invoice.countDocuments(criteria)
+    ]);
+
+    res.json({
+      success: true,
+      invoices: invoices.map(invoice => invoice.toPublic(req.user._id)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: invoices.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des factures:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour émettre la facture d'une demande terminée (si elle n'a pas été générée automatiquement)
+router.post('/', authenticateToken, [
+  body('requestId')
+    .isMongoId()
+    .withMessage('Demande invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const request = await ServiceRequest.findById(req.body.requestId);
+
+    if (!request || !request.involves(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Demande non trouvée'
+      });
+    }
+
+    const result = await generateForRequest(request);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: true,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      invoice: result.invoice.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la génération de la facture:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour télécharger le PDF d'une facture (déclarée avant /:id)
+router.get('/:id.pdf', authenticateToken, invoiceIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const invoice = await getInvoicePdf(req.params.id);
+
+    if (!invoice || !invoice.involves(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Facture non trouvée'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': invoice.pdf.length,
+      'Content-Disposition': `inline; filename="facture-${invoice.number}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(invoice.pdf);
+
+  } catch (error) {
+    console.error('Erreur lors du téléchargement de la facture:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir une facture spécifique
+router.get('/:id', authenticateToken, invoiceIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice || !invoice.involves(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Facture non trouvée'
+      });
+    }
+
+    res.json({
+      success: true,
+      invoice: invoice.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la facture:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,10 +4,14 @@ const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const User = require('../models/User');
 const Service = require('../models/Service');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedPhone } = require('../middleware/auth');
+const { paginationValidation, applyCursor, buildPage } = require('../utils/pagination');
 
 const router = express.Router();
 
+// Contenu affiché à la place d'un message masqué par la modération
+const HIDDEN_MESSAGE_CONTENT = 'Ce message a été masqué par la modération';
+
 // Validation pour envoyer un message
 const messageValidation = [
   body('content')
@@ -55,6 +59,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
             conv.lastMessage.senderId.toString() === req.user._id.toString() : false
         },
         unreadCount: conv.unreadCount.get(req.user._id.toString()) || 0,
+        isMuted: conv.isMutedBy(req.user._id),
         updatedAt: conv.updatedAt
       };
     });
@@ -95,6 +100,14 @@ router.get('/conversations/:conversationId', authenticateToken, async (req, res)
       });
     }
 
+    // Conversation masquée si l'un des participants a bloqué l'autre (comme dans la liste)
+    if (await conversation.isBlockedFor(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation non trouvée'
+      });
+    }
+
     // Marquer comme lu
     await conversation.markAsRead(req.user._id);
 
@@ -133,10 +146,7 @@ router.get('/conversations/:conversationId', authenticateToken, async (req, res)
 });
 
 // Route pour obtenir les messages d'une conversation
-router.get('/conversations/:conversationId/messages', authenticateToken, [
-  query('page').optional().isInt({ min: 1 }).toInt(),
-  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
-], async (req, res) => {
+router.get('/conversations/:conversationId/messages', authenticateToken, paginationValidation(100), async (req, res) => {
   try {
     // Vérifier les erreurs de validation
     const errors = validationResult(req);
@@ -148,33 +158,38 @@ router.get('/conversations/:conversationId/messages', authenticateToken, [
       });
     }
 
-    const { page = 1, limit = 50 } = req.query;
+    const { page = 1, limit = 50, cursor, includeTotal = !cursor } = req.query;
     const conversationId = req.params.conversationId;
 
-    // Vérifier que la conversation existe et que l'utilisateur y participe
+    // Vérifier que la conversation existe, que l'utilisateur y participe et qu'elle n'est pas bloquée
     const conversation = await Conversation.findById(conversationId);
-    if (!conversation || !conversation.hasParticipant(req.user._id)) {
+    if (!conversation || !conversation.hasParticipant(req.user._id) || await conversation.isBlockedFor(req.user._id)) {
       return res.status(404).json({
         error: true,
         message: 'Conversation non trouvée'
       });
     }
 
-    const skip = (page - 1) * limit;
+    const skip = cursor ? 0 : (page - 1) * limit;
 
-    // Récupérer les messages
-    const messages = await Message.getForConversation(conversationId, limit, skip);
+    // Récupérer les messages, du plus récent au plus ancien (le curseur remonte l'historique)
+    const results = await Message.getForConversation(conversationId, limit + 1, skip, applyCursor({}, cursor));
 
-    // Compter le total
-    const total = await Message.countDocuments({ conversationId });
+    const { items: messages, pagination } = await buildPage(results, {
+      limit,
+      page,
+      cursor,
+      countTotal: includeTotal ? () => Message.countDocuments({ conversationId }) : null
+    });
 
     // Marquer les messages comme lus
     await Message.markConversationAsRead(conversationId, req.user._id);
 
     const formattedMessages = messages.reverse().map(message => ({
       id: message._id,
-      content: message.content,
+      content: message.isHidden ? HIDDEN_MESSAGE_CONTENT : message.content,
       messageType: message.messageType,
+      isHidden: message.isHidden,
       sender: {
         id: message.senderId._id,
         name: message.senderName,
@@ -183,7 +198,8 @@ router.get('/conversations/:conversationId/messages', authenticateToken, [
         avatar: message.senderId.avatar
       },
       isFromCurrentUser: message.senderId._id.toString() === req.user._id.toString(),
-      attachments: message.attachments,
+      attachments: message.isHidden ? [] : message.attachments,
+      quote: message.quoteId ? message.quoteId.toPublic(req.user._id) : null,
       isRead: message.isRead,
       isEdited: message.isEdited,
       replyTo: message.replyTo ? {
@@ -199,12 +215,7 @@ router.get('/conversations/:conversationId/messages', authenticateToken, [
     res.json({
       success: true,
       messages: formattedMessages,
-      pagination: {
-        current: page,
-        total: Math.ceil(total / limit),
-        count: messages.length,
-        totalItems: total
-      }
+      pagination
     });
 
   } catch (error) {
@@ -241,6 +252,15 @@ router.post('/conversations/:conversationId/messages', authenticateToken, messag
       });
     }
 
+    // Vérifier qu'aucun des deux participants n'a bloqué l'autre
+    const otherParticipantId = conversation.getOtherParticipantId(req.user._id);
+    if (otherParticipantId && await User.isBlockedBetween(req.user._id, otherParticipantId)) {
+      return res.status(403).json({
+        error: true,
+        message: 'Vous ne pouvez pas envoyer de message à cet utilisateur'
+      });
+    }
+
     // Créer le message
     const message = new Message({
       conversationId,
@@ -290,7 +310,7 @@ router.post('/conversations/:conversationId/messages', authenticateToken, messag
 });
 
 // Route pour créer une nouvelle conversation
-router.post('/conversations', authenticateToken, [
+router.post('/conversations', authenticateToken, requireVerifiedPhone, [
   body('participantId')
     .notEmpty()
     .withMessage('L\'ID du participant est obligatoire')
@@ -339,6 +359,14 @@ router.post('/conversations', authenticateToken, [
       });
     }
 
+    // Vérifier qu'aucun des deux utilisateurs n'a bloqué l'autre
+    if (req.user.hasBlocked(otherUser._id) || otherUser.hasBlocked(req.user._id)) {
+      return res.status(403).json({
+        error: true,
+        message: 'Vous ne pouvez pas contacter cet utilisateur'
+      });
+    }
+
     // Vérifier si une conversation existe déjà
     let conversation = await Conversation.findBetweenUsers(req.user._id, participantId);
 
@@ -431,6 +459,41 @@ router.put('/conversations/:conversationId/read', authenticateToken, async (req,
   }
 });
 
+// Fonction pour créer une route de mise en sourdine d'une conversation
+const muteHandler = (muted) => async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.conversationId);
+
+    if (!conversation || !conversation.hasParticipant(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation non trouvée'
+      });
+    }
+
+    await conversation.setMuted(req.user._id, muted);
+
+    res.json({
+      success: true,
+      message: muted ? 'Conversation mise en sourdine' : 'Sourdine désactivée',
+      isMuted: muted
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise en sourdine de la conversation:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+};
+
+// Route pour mettre une conversation en sourdine (plus de notification, sans bloquer)
+router.put('/conversations/:conversationId/mute', authenticateToken, muteHandler(true));
+
+// Route pour réactiver les notifications d'une conversation
+router.put('/conversations/:conversationId/unmute', authenticateToken, muteHandler(false));
+
 // Route pour obtenir le nombre de messages non lus
 router.get('/unread-count', authenticateToken, async (req, res) => {
   try {
@@ -491,7 +554,8 @@ router.get('/search', authenticateToken, [
 
       messages = await Message.find({
         conversationId: { $in: conversationIds },
-        content: { $regex: q, $options: 'i' }
+        content: { $regex: q, $options: 'i' },
+        isHidden: { $ne: true }
       })
       .populate('senderId', 'firstName lastName')
       .populate('conversationId', 'participants')
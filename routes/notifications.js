@@ -0,0 +1,275 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { authenticateToken, resolveUserFromToken } = require('../middleware/auth');
+const { openStream } = require('../realtime/sse');
+
+const router = express.Router();
+
+// Route pour ouvrir le flux de notifications (Server-Sent Events)
+// EventSource ne permet pas d'en-têtes personnalisés : le token peut
+// aussi être passé en paramètre ?token=
+router.get('/stream', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = (authHeader && authHeader.split(' ')[1]) || req.query.token;
+
+    if (!token) {
+      return res.status(401).json({
+        error: true,
+        message: 'Token d\'accès requis'
+      });
+    }
+
+    const { user, session } = await resolveUserFromToken(token);
+    openStream(req, res, user, session);
+
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        error: true,
+        message: 'Token invalide'
+      });
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: true,
+        message: 'Token expiré'
+      });
+    }
+
+    if (error.status === 401 || error.status === 403) {
+      return res.status(error.status).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Erreur lors de l\'ouverture du flux de notifications:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir les notifications de l'utilisateur
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('unreadOnly').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, unreadOnly = false } = req.query;
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.getForUser(req.user._id, unreadOnly, limit, skip);
+    const total = await Notification.countDocuments(
+      unreadOnly ? { userId: req.user._id, isRead: false } : { userId: req.user._id }
+    );
+    const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      notifications: notifications.map(notification => notification.toPublic()),
+      unreadCount,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: notifications.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des notifications:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir le nombre de notifications non lues
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du comptage des notifications non lues:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir les préférences de notification
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preferences: Notification.TYPES.reduce((preferences, type) => {
+        preferences[type] = req.user.wantsNotification(type);
+        return preferences;
+      }, {})
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des préférences:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour mettre à jour les préférences de notification
+router.put('/preferences', authenticateToken, Notification.TYPES.map(type =>
+  body(type)
+    .optional()
+    .isBoolean()
+    .withMessage(`La préférence "${type}" doit être un booléen`)
+    .toBoolean()
+), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const updateData = {};
+    Notification.TYPES.forEach(type => {
+      if (req.body[type] !== undefined) {
+        updateData[`notificationPreferences.${type}`] = req.body[type];
+      }
+    });
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updateData },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Préférences mises à jour avec succès',
+      preferences: Notification.TYPES.reduce((preferences, type) => {
+        preferences[type] = updatedUser.wantsNotification(type);
+        return preferences;
+      }, {})
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des préférences:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour marquer toutes les notifications comme lues
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.markAllAsRead(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Notifications marquées comme lues',
+      updated: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du marquage des notifications:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour marquer une notification comme lue
+router.put('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: true,
+        message: 'Notification non trouvée'
+      });
+    }
+
+    if (!notification.isRead) {
+      await notification.markAsRead();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marquée comme lue',
+      notification: notification.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du marquage de la notification:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour supprimer une notification
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.deleteOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        error: true,
+        message: 'Notification non trouvée'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification supprimée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la notification:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,457 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const ServiceRequest = require('../models/ServiceRequest');
+const Service = require('../models/Service');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken } = require('../middleware/auth');
+const { getEnabledProviders, getPaymentProvider } = require('../utils/payments');
+const { markHeld, markFailed, refundPayment, handleProviderEvent } = require('../utils/escrow');
+const { paginationValidation, applyCursor, buildPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Fonction pour déterminer le montant à payer : prix convenu par devis, sinon prix fixe du service
+const resolveAmount = async (request) => {
+  if (request.agreedPrice) return request.agreedPrice;
+
+  const service = await Service.findById(request.serviceId).select('price priceType');
+  if (service && service.priceType === 'fixe' && service.price) return service.price;
+
+  return null;
+};
+
+// Route pour recevoir les webhooks des fournisseurs de paiement (signature vérifiée, sans authentification)
+router.post('/webhooks/:provider', async (req, res) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(req.params.provider);
+  } catch (error) {
+    return res.status(404).json({
+      error: true,
+      message: 'Fournisseur de paiement inconnu'
+    });
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', req.headers);
+  } catch (error) {
+    return res.status(400).json({
+      error: true,
+      message: 'Webhook invalide'
+    });
+  }
+
+  try {
+    await handleProviderEvent(provider.name, event);
+
+    res.json({
+      success: true,
+      received: true
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du traitement du webhook de paiement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour lister les fournisseurs de paiement disponibles
+router.get('/providers', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    providers: getEnabledProviders()
+  });
+});
+
+// Route pour obtenir l'historique des transactions de l'utilisateur
+router.get('/transactions', authenticateToken, [
+  ...paginationValidation(100),
+  query('type').optional().isIn(Transaction.TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, cursor, includeTotal = !cursor, type } = req.query;
+    const criteria = { userId: req.user._id };
+    if (type) criteria.type = type;
+
+    const results = await Transaction.find(applyCursor(criteria, cursor))
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .skip(cursor ? 0 : (page - 1) * limit);
+
+    const { items: transactions, pagination } = await buildPage(results, {
+      limit,
+      page,
+      cursor,
+      countTotal: includeTotal ? () => Transaction.countDocuments(criteria) : null
+    });
+
+    res.json({
+      success: true,
+      transactions: transactions.map(transaction => transaction.toPublic()),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des transactions:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir les paiements de l'utilisateur (effectués ou reçus)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('requestId').optional().isMongoId().withMessage('Demande invalide'),
+  query('status').optional().isIn(Payment.STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, requestId, status } = req.query;
+    const criteria = { $or: [{ payerId: req.user._id }, { payeeId: req.user._id }] };
+    if (requestId) criteria.serviceRequestId = requestId;
+    if (status) criteria.status = status;
+
+    const [payments, total] = await Promise.all([
+      Payment.find(criteria)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Payment.countDocuments(criteria)
+    ]);
+
+    res.json({
+      success: true,
+      payments: payments.map(payment => payment.toPublic(req.user._id)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: payments.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des paiements:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour payer une demande de service (les fonds restent sous séquestre jusqu'à la fin de la prestation)
+router.post('/intents', authenticateToken, [
+  body('requestId')
+    .isMongoId()
+    .withMessage('Demande invalide'),
+
+  body('provider')
+    .optional()
+    .custom(value => getEnabledProviders().includes(value))
+    .withMessage('Fournisseur de paiement indisponible')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const request = await ServiceRequest.findById(req.body.requestId);
+
+    if (!request || !request.involves(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Demande non trouvée'
+      });
+    }
+
+    if (request.getRole(req.user._id) !== 'client') {
+      return res.status(403).json({
+        error: true,
+        message: 'Seul le client peut payer cette demande'
+      });
+    }
+
+    if (!ServiceRequest.PAYABLE_STATUSES.includes(request.status)) {
+      return res.status(409).json({
+        error: true,
+        message: `Paiement impossible sur une demande au statut "${request.status}"`
+      });
+    }
+
+    const existing = await Payment.findActiveForRequest(request._id);
+    if (existing) {
+      return res.status(409).json({
+        error: true,
+        message: 'Un paiement est déjà en cours pour cette demande',
+        paymentId: existing._id
+      });
+    }
+
+    const amount = await resolveAmount(request);
+    if (!amount) {
+      return res.status(400).json({
+        error: true,
+        message: 'Aucun montant convenu : le prix doit être fixé par un devis accepté'
+      });
+    }
+
+    const provider = getPaymentProvider(req.body.provider);
+
+    let payment;
+    try {
+      payment = await Payment.create({
+        serviceRequestId: request._id,
+        serviceTitle: request.serviceTitle,
+        payerId: request.clientId,
+        payeeId: request.providerId,
+        amount,
+        provider: provider.name
+      });
+    } catch (error) {
+      // Paiement créé simultanément par une autre requête
+      if (error.code === 11000) {
+        const active = await Payment.findActiveForRequest(request._id);
+        return res.status(409).json({
+          error: true,
+          message: 'Un paiement est déjà en cours pour cette demande',
+          paymentId: active ? active._id : undefined
+        });
+      }
+      throw error;
+    }
+
+    let intent;
+    try {
+      intent = await provider.createIntent({
+        amount: payment.amount,
+        currency: payment.currency,
+        reference: payment._id.toString(),
+        customer: {
+          id: req.user._id.toString(),
+          phone: req.user.phone
+        }
+      });
+    } catch (error) {
+      console.error('Erreur lors de la création du paiement chez le fournisseur:', error);
+      await markFailed(payment._id, 'Fournisseur de paiement indisponible');
+      return res.status(502).json({
+        error: true,
+        message: 'Le paiement n\'a pas pu être initié, veuillez réessayer'
+      });
+    }
+
+    payment.providerRef = intent.providerRef;
+    payment.nextAction = intent.nextAction || null;
+    await payment.save();
+
+    let result = payment;
+    if (intent.status === 'succeeded') {
+      result = await markHeld(payment._id) || payment;
+    } else if (intent.status === 'failed') {
+      result = await markFailed(payment._id, 'Paiement refusé par le fournisseur') || payment;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.status === 'held' ? 'Paiement effectué, fonds sous séquestre' : 'Paiement initié',
+      payment: result.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du paiement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir un paiement spécifique
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment || !payment.involves(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Paiement non trouvé'
+      });
+    }
+
+    res.json({
+      success: true,
+      payment: payment.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du paiement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour abandonner un paiement non confirmé (payeur)
+router.put('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment || payment.getRole(req.user._id) !== 'payer') {
+      return res.status(404).json({
+        error: true,
+        message: 'Paiement non trouvé'
+      });
+    }
+
+    const cancelled = await Payment.transition(payment._id, ['pending'], {
+      $set: { status: 'cancelled', nextAction: null }
+    });
+
+    if (!cancelled) {
+      return res.status(409).json({
+        error: true,
+        message: `Impossible d'annuler un paiement au statut "${payment.status}"`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Paiement annulé',
+      payment: cancelled.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'annulation du paiement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour rembourser tout ou partie d'un paiement (prestataire bénéficiaire ou administrateur)
+router.post('/:id/refund', authenticateToken, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Montant invalide')
+    .toFloat(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La raison ne peut pas dépasser 500 caractères')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    const isAdmin = req.user.hasPermission('payments:refund');
+
+    if (!payment || (!payment.involves(req.user._id) && !isAdmin)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Paiement non trouvé'
+      });
+    }
+
+    if (payment.getRole(req.user._id) !== 'payee' && !isAdmin) {
+      return res.status(403).json({
+        error: true,
+        message: 'Seul le prestataire peut rembourser ce paiement'
+      });
+    }
+
+    const { amount, reason = '' } = req.body;
+    const refundable = payment.getRefundableAmount();
+
+    if (refundable <= 0 || (amount && amount > refundable)) {
+      return res.status(409).json({
+        error: true,
+        message: refundable > 0
+          ? `Le montant remboursable est de ${refundable} ${payment.currency}`
+          : 'Ce paiement ne peut pas être remboursé',
+        refundableAmount: refundable
+      });
+    }
+
+    let refunded;
+    try {
+      refunded = await refundPayment(payment, { amount, reason, requestedBy: req.user._id });
+    } catch (error) {
+      console.error('Erreur lors du remboursement chez le fournisseur:', error);
+      return res.status(502).json({
+        error: true,
+        message: 'Le remboursement n\'a pas pu être effectué, veuillez réessayer'
+      });
+    }
+
+    if (!refunded) {
+      return res.status(409).json({
+        error: true,
+        message: 'Ce paiement ne peut plus être remboursé de ce montant'
+      });
+    }
+
+    if (payment.getRole(req.user._id) !== 'payee') {
+      await AuditLog.record(req.user, 'payment.refund', 'Payment', payment._id, reason, {
+        amount: amount || refundable
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Remboursement effectué',
+      payment: refunded.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du remboursement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
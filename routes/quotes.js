@@ -0,0 +1,581 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Quote = require('../models/Quote');
+const Conversation = require('../models/Conversation');
+const Service = require('../models/Service');
+const ServiceRequest = require('../models/ServiceRequest');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const appEvents = require('../utils/events');
+const { checkSlot } = require('../utils/booking');
+
+const router = express.Router();
+
+// Durée de validité maximale d'un devis (jours)
+const MAX_VALIDITY_DAYS = 90;
+
+// Validation du contenu d'un devis ou d'une contre-proposition
+const quoteContentValidation = [
+  body('items')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Un devis doit contenir entre 1 et 20 lignes'),
+
+  body('items.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('La description de la ligne est obligatoire')
+    .isLength({ max: 200 })
+    .withMessage('La description ne peut pas dépasser 200 caractères'),
+
+  body('items.*.quantity')
+    .isFloat({ min: 0.01, max: 10000 })
+    .withMessage('Quantité invalide')
+    .toFloat(),
+
+  body('items.*.unitPrice')
+    .isFloat({ min: 0, max: 1000000 })
+    .withMessage('Prix unitaire invalide')
+    .toFloat(),
+
+  body('validUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date de validité invalide')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('La date de validité doit être dans le futur')
+    .custom(value => new Date(value) <= new Date(Date.now() + MAX_VALIDITY_DAYS * 24 * 60 * 60 * 1000))
+    .withMessage(`Un devis ne peut pas être valable plus de ${MAX_VALIDITY_DAYS} jours`),
+
+  body('proposedDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date proposée invalide')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('La date proposée doit être dans le futur'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('La note ne peut pas dépasser 1000 caractères')
+];
+
+// Validation de la réponse à un devis
+const responseValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La note ne peut pas dépasser 500 caractères')
+];
+
+// Fonction pour extraire le contenu d'un devis du corps de la requête
+const quoteContentFromBody = ({ items, validUntil, proposedDate, note = '' }) => ({
+  items: items.map(({ description, quantity, unitPrice }) => ({ description, quantity, unitPrice })),
+  validUntil: validUntil ? new Date(validUntil) : Quote.defaultValidUntil(),
+  proposedDate: proposedDate ? new Date(proposedDate) : null,
+  note
+});
+
+// Fonction pour charger un devis destiné à l'utilisateur et encore ouvert à une réponse
+// (renvoie la réponse d'erreur à envoyer le cas échéant)
+const loadPendingQuoteForRecipient = async (quoteId, userId) => {
+  const quote = await Quote.findById(quoteId);
+
+  if (!quote || !quote.involves(userId)) {
+    return { status: 404, message: 'Devis non trouvé' };
+  }
+
+  if (quote.getRecipientId().toString() !== userId.toString()) {
+    return { status: 403, message: 'Seul le destinataire du devis peut y répondre' };
+  }
+
+  if (quote.isExpired()) {
+    if (quote.status === 'pending') {
+      await Quote.updateOne({ _id: quote._id, status: 'pending' }, { $set: { status: 'expired' } });
+    }
+    return { status: 409, message: 'Ce devis a expiré' };
+  }
+
+  if (quote.status !== 'pending') {
+    return { status: 409, message: `Ce devis a déjà reçu une réponse (statut "${quote.status}")` };
+  }
+
+  return { quote };
+};
+
+// Fonction pour transformer un devis accepté en demande de service acceptée
+// (la demande ouverte du client sur ce service est réutilisée si elle est encore en attente ;
+// renvoie null si elle a changé de statut entre-temps)
+const convertToBooking = async (quote, actor, service, openRequest) => {
+  let request = openRequest;
+  const isNew = !request;
+
+  if (isNew) {
+    request = new ServiceRequest({
+      serviceId: quote.serviceId,
+      serviceTitle: quote.serviceTitle,
+      clientId: quote.clientId,
+      clientName: quote.clientName,
+      providerId: quote.providerId,
+      providerName: quote.providerName,
+      conversationId: quote.conversationId,
+      message: quote.note
+    });
+  }
+
+  request.quoteId = quote._id;
+  request.agreedPrice = quote.total;
+
+  if (quote.proposedDate) {
+    request.proposedDate = quote.proposedDate;
+    request.setSlot(quote.proposedDate, service.duration);
+  }
+
+  if (isNew) {
+    await request.save();
+    request = await request.applyAction('accept', actor._id, 'Devis accepté');
+    await service.incrementRequests();
+    appEvents.emit('service-request:created', request);
+  } else {
+    request = await request.applyAction('accept', actor._id, 'Devis accepté');
+    if (!request) return null;
+    appEvents.emit('service-request:updated', { request, actorId: actor._id });
+  }
+
+  return request;
+};
+
+// Route pour obtenir les devis de l'utilisateur (envoyés ou reçus)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('conversationId').optional().isMongoId().withMessage('Conversation invalide'),
+  query('status').optional().isIn(Quote.STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, conversationId, status } = req.query;
+    const criteria = Quote.criteriaForUser(req.user._id, { conversationId, status });
+
+    const [quotes, total] = await Promise.all([
+      Quote.find(criteria)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Quote.countDocuments(criteria)
+    ]);
+
+    res.json({
+      success: true,
+      quotes: quotes.map(quote => quote.toPublic(req.user._id)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: quotes.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des devis:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir un devis spécifique
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote || !quote.involves(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Devis non trouvé'
+      });
+    }
+
+    res.json({
+      success: true,
+      quote: quote.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du devis:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour envoyer un devis dans une conversation (prestataire)
+router.post('/', authenticateToken, requireUserType('prestataire'), [
+  body('conversationId')
+    .isMongoId()
+    .withMessage('Conversation invalide'),
+
+  body('serviceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Service invalide'),
+
+  ...quoteContentValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const conversation = await Conversation.findById(req.body.conversationId);
+    if (!conversation || !conversation.isActive || !conversation.hasParticipant(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation non trouvée'
+      });
+    }
+
+    const clientId = conversation.getOtherParticipantId(req.user._id);
+    if (!clientId) {
+      return res.status(400).json({
+        error: true,
+        message: 'Aucun destinataire pour ce devis'
+      });
+    }
+
+    if (await User.isBlockedBetween(req.user._id, clientId)) {
+      return res.status(403).json({
+        error: true,
+        message: 'Vous ne pouvez pas envoyer de devis à cet utilisateur'
+      });
+    }
+
+    // Le devis porte sur le service indiqué, ou à défaut celui de la conversation
+    const serviceId = req.body.serviceId || conversation.serviceId;
+    const service = serviceId ? await Service.findById(serviceId) : null;
+
+    if (!service || !service.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Service non trouvé'
+      });
+    }
+
+    if (service.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: true,
+        message: 'Vous ne pouvez envoyer un devis que pour vos propres services'
+      });
+    }
+
+    const client = conversation.participants.find(p => p.userId.toString() === clientId.toString());
+
+    const quote = new Quote({
+      conversationId: conversation._id,
+      serviceId: service._id,
+      serviceTitle: service.title,
+      providerId: req.user._id,
+      providerName: `${req.user.firstName} ${req.user.lastName}`,
+      clientId,
+      clientName: client.userName,
+      authorId: req.user._id,
+      ...quoteContentFromBody(req.body)
+    });
+
+    await quote.save();
+    await conversation.postQuoteMessage(req.user, quote);
+
+    res.status(201).json({
+      success: true,
+      message: 'Devis envoyé avec succès',
+      quote: quote.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'envoi du devis:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour accepter un devis (création ou mise à jour de la demande de service)
+router.put('/:id/accept', authenticateToken, responseValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { quote, status, message } = await loadPendingQuoteForRecipient(req.params.id, req.user._id);
+    if (!quote) {
+      return res.status(status).json({
+        error: true,
+        message
+      });
+    }
+
+    const service = await Service.findById(quote.serviceId);
+    if (!service || !service.isActive) {
+      return res.status(409).json({
+        error: true,
+        message: 'Ce service n\'est plus disponible'
+      });
+    }
+
+    // Une demande déjà acceptée (prix convenu, créneau, paiement éventuel) ne peut pas être modifiée par un devis
+    const openRequest = await ServiceRequest.findOpen(quote.serviceId, quote.clientId);
+    if (openRequest && openRequest.status !== 'pending') {
+      return res.status(409).json({
+        error: true,
+        message: `Impossible d'accepter ce devis : la demande en cours est au statut "${openRequest.status}"`
+      });
+    }
+    if (openRequest && await Payment.findActiveForRequest(openRequest._id)) {
+      return res.status(409).json({
+        error: true,
+        message: 'Impossible d\'accepter ce devis : un paiement est déjà en cours pour la demande'
+      });
+    }
+
+    // Vérifier que la date d'intervention du devis est toujours libre
+    if (quote.proposedDate) {
+      const slotCheck = await checkSlot({
+        providerId: quote.providerId,
+        start: quote.proposedDate,
+        duration: service.duration,
+        excludeId: openRequest ? openRequest._id : null,
+        respectSchedule: false
+      });
+
+      if (!slotCheck.available) {
+        return res.status(409).json({
+          error: true,
+          message: slotCheck.message
+        });
+      }
+    }
+
+    const { note = '' } = req.body;
+    const accepted = await Quote.respond(quote._id, 'accepted', note);
+    if (!accepted) {
+      return res.status(409).json({
+        error: true,
+        message: 'Ce devis a déjà reçu une réponse'
+      });
+    }
+
+    // Réservation impossible : le devis est remis en attente pour pouvoir y répondre à nouveau
+    let request;
+    try {
+      request = await convertToBooking(accepted, req.user, service, openRequest);
+    } catch (error) {
+      await Quote.reopen(accepted._id);
+      throw error;
+    }
+
+    if (!request) {
+      await Quote.reopen(accepted._id);
+      return res.status(409).json({
+        error: true,
+        message: 'La demande en cours a été modifiée entre-temps, veuillez réessayer'
+      });
+    }
+
+    accepted.serviceRequestId = request._id;
+    await accepted.save();
+
+    appEvents.emit('quote:updated', { quote: accepted, actorId: req.user._id });
+
+    const conversation = await Conversation.findById(accepted.conversationId);
+    if (conversation) {
+      await conversation.postSystemMessage(
+        req.user,
+        `Devis accepté : "${accepted.serviceTitle}"${note ? ` (${note})` : ''}`
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Devis accepté avec succès',
+      quote: accepted.toPublic(req.user._id),
+      request: request.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'acceptation du devis:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour refuser un devis
+router.put('/:id/reject', authenticateToken, responseValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { quote, status, message } = await loadPendingQuoteForRecipient(req.params.id, req.user._id);
+    if (!quote) {
+      return res.status(status).json({
+        error: true,
+        message
+      });
+    }
+
+    const { note = '' } = req.body;
+    const rejected = await Quote.respond(quote._id, 'rejected', note);
+    if (!rejected) {
+      return res.status(409).json({
+        error: true,
+        message: 'Ce devis a déjà reçu une réponse'
+      });
+    }
+
+    appEvents.emit('quote:updated', { quote: rejected, actorId: req.user._id });
+
+    const conversation = await Conversation.findById(rejected.conversationId);
+    if (conversation) {
+      await conversation.postSystemMessage(
+        req.user,
+        `Devis refusé : "${rejected.serviceTitle}"${note ? ` (${note})` : ''}`
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Devis refusé',
+      quote: rejected.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du refus du devis:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour répondre à un devis par une contre-proposition
+router.post('/:id/counter', authenticateToken, quoteContentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { quote, status, message } = await loadPendingQuoteForRecipient(req.params.id, req.user._id);
+    if (!quote) {
+      return res.status(status).json({
+        error: true,
+        message
+      });
+    }
+
+    const counter = new Quote({
+      conversationId: quote.conversationId,
+      serviceId: quote.serviceId,
+      serviceTitle: quote.serviceTitle,
+      providerId: quote.providerId,
+      providerName: quote.providerName,
+      clientId: quote.clientId,
+      clientName: quote.clientName,
+      authorId: req.user._id,
+      parentQuoteId: quote._id,
+      ...quoteContentFromBody(req.body)
+    });
+
+    // Valider la contre-proposition avant de clôturer le devis d'origine
+    await counter.validate();
+
+    const countered = await Quote.respond(quote._id, 'countered', counter.note);
+    if (!countered) {
+      return res.status(409).json({
+        error: true,
+        message: 'Ce devis a déjà reçu une réponse'
+      });
+    }
+
+    await counter.save();
+    appEvents.emit('quote:updated', { quote: countered, actorId: req.user._id });
+
+    const conversation = await Conversation.findById(counter.conversationId);
+    if (conversation) {
+      await conversation.postQuoteMessage(req.user, counter);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Contre-proposition envoyée avec succès',
+      quote: counter.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la contre-proposition:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Report = require('../models/Report');
+const Conversation = require('../models/Conversation');
+const { authenticateToken, requireVerifiedPhone } = require('../middleware/auth');
+const { AUTO_HIDE_THRESHOLD, loadTarget, getTargetOwnerId, hideTarget } = require('../utils/moderation');
+const appEvents = require('../utils/events');
+
+const router = express.Router();
+
+// Validation pour créer un signalement
+const reportValidation = [
+  body('targetType')
+    .isIn(Report.TARGET_TYPES)
+    .withMessage('Type de contenu invalide'),
+
+  body('targetId')
+    .isMongoId()
+    .withMessage('ID de contenu invalide'),
+
+  body('reason')
+    .isIn(Report.REASONS)
+    .withMessage('Raison de signalement invalide'),
+
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Les détails ne peuvent pas dépasser 1000 caractères')
+];
+
+// Route pour signaler un contenu (service, message, utilisateur, avis)
+router.post('/', authenticateToken, requireVerifiedPhone, reportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { targetType, targetId, reason, details = '' } = req.body;
+
+    const target = await loadTarget(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({
+        error: true,
+        message: 'Contenu non trouvé'
+      });
+    }
+
+    // Un message ne peut être signalé que par un participant de la conversation
+    if (targetType === 'Message') {
+      const conversation = await Conversation.findById(target.conversationId);
+      if (!conversation || !conversation.hasParticipant(req.user._id)) {
+        return res.status(404).json({
+          error: true,
+          message: 'Contenu non trouvé'
+        });
+      }
+    }
+
+    const ownerId = getTargetOwnerId(targetType, target);
+    if (ownerId && ownerId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Vous ne pouvez pas signaler votre propre contenu'
+      });
+    }
+
+    const report = await Report.create({
+      targetType,
+      targetId,
+      targetOwnerId: ownerId,
+      reporterId: req.user._id,
+      reason,
+      details
+    });
+
+    // Masquage automatique après N signalements indépendants
+    const pendingCount = await Report.countPending(targetType, target._id);
+    if (pendingCount >= AUTO_HIDE_THRESHOLD && await hideTarget(targetType, target, { auto: true })) {
+      if (targetType === 'Service') {
+        appEvents.emit('account:event', {
+          userId: ownerId,
+          title: 'Service masqué',
+          body: `Votre service "${target.title}" a été masqué suite à plusieurs signalements, en attente de vérification`,
+          data: { serviceId: target._id }
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Signalement envoyé, merci. Notre équipe va l\'examiner.',
+      report: {
+        id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: true,
+        message: 'Vous avez déjà signalé ce contenu'
+      });
+    }
+
+    console.error('Erreur lors de la création du signalement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir les signalements envoyés par l'utilisateur
+router.get('/mine', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const reports = await Report.find({ reporterId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await Report.countDocuments({ reporterId: req.user._id });
+
+    res.json({
+      success: true,
+      reports: reports.map(report => ({
+        id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: reports.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des signalements:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
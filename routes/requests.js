@@ -0,0 +1,233 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const ServiceRequest = require('../models/ServiceRequest');
+const Conversation = require('../models/Conversation');
+const Service = require('../models/Service');
+const { authenticateToken } = require('../middleware/auth');
+const appEvents = require('../utils/events');
+const { checkSlot, hasPriorConflict } = require('../utils/booking');
+
+const router = express.Router();
+
+// Messages système publiés dans la conversation pour chaque action
+const ACTION_MESSAGES = {
+  accept: 'Demande acceptée',
+  decline: 'Demande refusée',
+  schedule: 'Intervention planifiée',
+  start: 'Intervention démarrée',
+  complete: 'Prestation terminée',
+  cancel: 'Demande annulée'
+};
+
+// Validation commune aux actions sur une demande
+const actionValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La note ne peut pas dépasser 500 caractères'),
+
+  body('scheduledDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date planifiée invalide')
+];
+
+// Route pour obtenir les demandes de l'utilisateur (envoyées ou reçues)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('role').optional().isIn(['client', 'provider']),
+  query('status').optional().isIn(ServiceRequest.STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, role, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const requests = await ServiceRequest.getForUser(req.user._id, role, status, limit, skip);
+    const total = await ServiceRequest.countDocuments(
+      ServiceRequest.criteriaForUser(req.user._id, role, status)
+    );
+
+    res.json({
+      success: true,
+      requests: requests.map(request => request.toPublic(req.user._id)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: requests.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des demandes:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir une demande spécifique
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const request = await ServiceRequest.findById(req.params.id);
+
+    if (!request || !request.involves(req.user._id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Demande non trouvée'
+      });
+    }
+
+    res.json({
+      success: true,
+      request: request.toPublic(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la demande:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Routes pour faire évoluer le statut d'une demande
+// (accept, decline, schedule, start, complete côté prestataire ; cancel côté client)
+Object.keys(ServiceRequest.ACTIONS).forEach(action => {
+  router.put(`/:id/${action}`, authenticateToken, actionValidation, async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Données invalides',
+          details: errors.array()
+        });
+      }
+
+      const request = await ServiceRequest.findById(req.params.id);
+
+      if (!request || !request.involves(req.user._id)) {
+        return res.status(404).json({
+          error: true,
+          message: 'Demande non trouvée'
+        });
+      }
+
+      if (ServiceRequest.ACTIONS[action].actor !== request.getRole(req.user._id)) {
+        return res.status(403).json({
+          error: true,
+          message: 'Vous n\'avez pas les droits pour effectuer cette action'
+        });
+      }
+
+      if (!request.canApply(action, req.user._id)) {
+        return res.status(409).json({
+          error: true,
+          message: `Action impossible sur une demande au statut "${request.status}"`
+        });
+      }
+
+      const { note = '', scheduledDate } = req.body;
+
+      if (action === 'schedule' && !scheduledDate) {
+        return res.status(400).json({
+          error: true,
+          message: 'La date planifiée est obligatoire'
+        });
+      }
+
+      // Valeurs rétablies si le créneau est pris simultanément par une autre demande
+      const previous = {
+        status: request.status,
+        scheduledDate: request.scheduledDate,
+        slotStart: request.slotStart,
+        slotEnd: request.slotEnd
+      };
+
+      let slotCheck = null;
+      if (scheduledDate && (action === 'schedule' || action === 'accept')) {
+        const service = await Service.findById(request.serviceId).select('duration');
+        const duration = service ? service.duration : 60;
+
+        // Le prestataire peut planifier hors de ses horaires, mais pas sur un créneau déjà réservé
+        slotCheck = await checkSlot({
+          providerId: request.providerId,
+          start: new Date(scheduledDate),
+          duration,
+          excludeId: request._id,
+          respectSchedule: false
+        });
+
+        if (!slotCheck.available) {
+          return res.status(409).json({
+            error: true,
+            message: slotCheck.message
+          });
+        }
+
+        request.scheduledDate = new Date(scheduledDate);
+        request.setSlot(request.scheduledDate, duration);
+      }
+
+      // Changement de statut conditionnel : une action simultanée de l'autre partie l'emporte
+      const updated = await request.applyAction(action, req.user._id, note);
+      if (!updated) {
+        return res.status(409).json({
+          error: true,
+          message: 'La demande a été modifiée entre-temps, veuillez réessayer'
+        });
+      }
+
+      // Planification concurrente du même créneau : la demande la plus ancienne l'emporte
+      if (slotCheck && await hasPriorConflict(updated, slotCheck.bufferMinutes)) {
+        await updated.revertAction(previous);
+        return res.status(409).json({
+          error: true,
+          message: 'Ce créneau est déjà réservé'
+        });
+      }
+
+      appEvents.emit('service-request:updated', { request: updated, actorId: req.user._id });
+
+      // Informer l'autre partie dans la conversation liée
+      if (updated.conversationId) {
+        const conversation = await Conversation.findById(updated.conversationId);
+        if (conversation) {
+          await conversation.postSystemMessage(
+            req.user,
+            `${ACTION_MESSAGES[action]} : "${updated.serviceTitle}"${note ? ` (${note})` : ''}`
+          );
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Demande mise à jour avec succès',
+        request: updated.toPublic(req.user._id)
+      });
+
+    } catch (error) {
+      console.error('Erreur lors de la mise à jour de la demande:', error);
+      res.status(500).json({
+        error: true,
+        message: 'Erreur interne du serveur'
+      });
+    }
+  });
+});
+
+module.exports = router;
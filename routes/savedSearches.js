@@ -0,0 +1,269 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const Service = require('../models/Service');
+const { authenticateToken } = require('../middleware/auth');
+const { PROVIDER_SUMMARY_FIELDS, formatServiceSummary } = require('../utils/formatService');
+const { paginationValidation, applyCursor, buildPage } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Validation d'une recherche enregistrée (mêmes filtres que le fil des services)
+const savedSearchValidation = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Le nom de la recherche est obligatoire')
+    .isLength({ max: 100 })
+    .withMessage('Le nom ne peut pas dépasser 100 caractères'),
+
+  body('frequency')
+    .optional()
+    .isIn(SavedSearch.FREQUENCIES)
+    .withMessage('Fréquence invalide'),
+
+  body('criteria')
+    .optional()
+    .isObject()
+    .withMessage('Les critères doivent être un objet'),
+
+  body('criteria.category')
+    .optional({ nullable: true })
+    .isIn([...Service.CATEGORIES, 'Tous'])
+    .withMessage('Catégorie invalide'),
+
+  body('criteria.search')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La recherche ne peut pas dépasser 200 caractères'),
+
+  body('criteria.minPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Prix minimum invalide').toFloat(),
+  body('criteria.maxPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Prix maximum invalide').toFloat(),
+
+  body('criteria.priceType')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Les types de prix doivent être un tableau')
+    .custom(values => values.every(value => Service.PRICE_TYPES.includes(value)))
+    .withMessage('Type de prix invalide'),
+
+  body('criteria.minRating').optional({ nullable: true }).isFloat({ min: 0, max: 5 }).withMessage('Note minimum invalide').toFloat(),
+
+  body('criteria.tags')
+    .optional({ nullable: true })
+    .isArray({ max: 10 })
+    .withMessage('Les tags doivent être un tableau (10 maximum)'),
+
+  body('criteria.tags.*')
+    .isString()
+    .withMessage('Tag invalide')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Un tag ne peut pas dépasser 50 caractères'),
+
+  body('criteria.lat').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Latitude invalide').toFloat(),
+  body('criteria.lng').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Longitude invalide').toFloat(),
+  body('criteria.radius').optional({ nullable: true }).isFloat({ min: 0.1, max: 500 }).withMessage('Rayon invalide').toFloat(),
+
+  body('criteria')
+    .optional()
+    .custom(criteria => (criteria.lat === undefined || criteria.lat === null) ===
+      (criteria.lng === undefined || criteria.lng === null))
+    .withMessage('La latitude et la longitude doivent être fournies ensemble')
+];
+
+// Fonction pour ne garder que les critères connus
+const pickCriteria = (criteria = {}) => {
+  const fields = ['category', 'search', 'minPrice', 'maxPrice', 'priceType', 'minRating', 'tags', 'lat', 'lng', 'radius'];
+  return fields.reduce((picked, field) => {
+    if (criteria[field] !== undefined) picked[field] = criteria[field];
+    return picked;
+  }, {});
+};
+
+// Route pour lister les recherches enregistrées
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      savedSearches: savedSearches.map(savedSearch => savedSearch.toPublic())
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des recherches enregistrées:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour enregistrer une recherche
+router.post('/', authenticateToken, savedSearchValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= SavedSearch.MAX_PER_USER) {
+      return res.status(400).json({
+        error: true,
+        message: `Vous ne pouvez pas enregistrer plus de ${SavedSearch.MAX_PER_USER} recherches`
+      });
+    }
+
+    const { name, criteria, frequency } = req.body;
+
+    const savedSearch = await SavedSearch.create({
+      userId: req.user._id,
+      name,
+      criteria: pickCriteria(criteria),
+      frequency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recherche enregistrée avec succès',
+      savedSearch: savedSearch.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement de la recherche:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour modifier une recherche enregistrée
+router.put('/:id', authenticateToken, savedSearchValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        error: true,
+        message: 'Recherche enregistrée non trouvée'
+      });
+    }
+
+    const { name, criteria, frequency } = req.body;
+    if (name !== undefined) savedSearch.name = name;
+    if (criteria !== undefined) savedSearch.criteria = pickCriteria(criteria);
+    if (frequency !== undefined) savedSearch.frequency = frequency;
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Recherche enregistrée modifiée avec succès',
+      savedSearch: savedSearch.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification de la recherche:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour supprimer une recherche enregistrée
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await SavedSearch.deleteOne({ _id: req.params.id, userId: req.user._id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        error: true,
+        message: 'Recherche enregistrée non trouvée'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recherche enregistrée supprimée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la recherche:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir les services correspondant à une recherche enregistrée
+router.get('/:id/services', authenticateToken, paginationValidation(50), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        error: true,
+        message: 'Recherche enregistrée non trouvée'
+      });
+    }
+
+    const { page = 1, limit = 20, cursor, includeTotal = !cursor } = req.query;
+    const criteria = savedSearch.toServiceCriteria();
+
+    const results = await Service.find(applyCursor(criteria, cursor))
+      .populate('userId', PROVIDER_SUMMARY_FIELDS)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .skip(cursor ? 0 : (page - 1) * limit);
+
+    const { items: services, pagination } = await buildPage(results, {
+      limit,
+      page,
+      cursor,
+      countTotal: includeTotal ? () => Service.countDocuments(criteria) : null
+    });
+
+    res.json({
+      success: true,
+      savedSearch: savedSearch.toPublic(),
+      services: services.map(service => formatServiceSummary(service)),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des services de la recherche:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
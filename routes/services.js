@@ -1,8 +1,22 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Service = require('../models/Service');
 const User = require('../models/User');
-const { authenticateToken, requireUserType, requireOwnership } = require('../middleware/auth');
+const Review = require('../models/Review');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const ServiceRequest = require('../models/ServiceRequest');
+const Favorite = require('../models/Favorite');
+const { authenticateToken, optionalAuth, requireUserType, requireVerifiedPhone, requireOwnership } = require('../middleware/auth');
+const appEvents = require('../utils/events');
+const { EARTH_RADIUS_KM, toPoint, fromPoint, resolvePoint } = require('../utils/geo');
+const { PROVIDER_SUMMARY_FIELDS, formatServiceSummary } = require('../utils/formatService');
+const { getSuggestions } = require('../utils/suggestions');
+const { paginationValidation, applyCursor, buildPage } = require('../utils/pagination');
+const Availability = require('../models/Availability');
+const { DATE_PATTERN, computeSlots, zonedToUtc, toLocalDate, addDays } = require('../utils/schedule');
+const { checkSlot, hasPriorConflict } = require('../utils/booking');
 
 const router = express.Router();
 
@@ -41,12 +55,32 @@ const serviceValidation = [
     .optional()
     .isIn(['heure', 'jour', 'fixe', 'negociable'])
     .withMessage('Type de prix invalide'),
+
+  body('duration')
+    .optional()
+    .isInt({ min: 15, max: 1440 })
+    .withMessage('La durée doit être comprise entre 15 minutes et 24 heures')
+    .toInt(),
   
   body('location')
     .optional()
     .trim()
     .isLength({ max: 200 })
     .withMessage('La localisation ne peut pas dépasser 200 caractères'),
+
+  body('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude invalide')
+    .custom((value, { req }) => req.body.lng !== undefined)
+    .withMessage('La latitude et la longitude doivent être fournies ensemble'),
+
+  body('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude invalide')
+    .custom((value, { req }) => req.body.lat !== undefined)
+    .withMessage('La latitude et la longitude doivent être fournies ensemble'),
   
   body('tags')
     .optional()
@@ -60,14 +94,56 @@ const serviceValidation = [
     .withMessage('Chaque tag ne peut pas dépasser 30 caractères')
 ];
 
+// Fonction pour convertir un paramètre de requête en liste (valeurs séparées par des virgules)
+const toList = (value) => String(value)
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
 // Route pour obtenir tous les services (fil d'actualités)
-router.get('/', [
-  query('page').optional().isInt({ min: 1 }).toInt(),
-  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+router.get('/', optionalAuth, [
+  ...paginationValidation(50),
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => (req.query.sortBy || (req.query.search ? 'relevance' : 'createdAt')) === 'createdAt')
+    .withMessage('La pagination par curseur n\'est disponible que pour le tri par date'),
   query('category').optional().trim(),
-  query('search').optional().trim(),
-  query('sortBy').optional().isIn(['createdAt', 'views', 'rating', 'price']),
-  query('sortOrder').optional().isIn(['asc', 'desc'])
+  query('search').optional().trim().isLength({ max: 200 }),
+  query('sortBy').optional().isIn(['createdAt', 'views', 'rating', 'price', 'distance', 'relevance']),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+  query('radius').optional().isFloat({ min: 0.1, max: 500 }).toFloat(),
+  query('lng')
+    .custom((value, { req }) => (req.query.lat === undefined) === (value === undefined))
+    .withMessage('La latitude et la longitude doivent être fournies ensemble'),
+  query('sortBy')
+    .custom((value, { req }) => value !== 'distance' || req.query.lat !== undefined)
+    .withMessage('Le tri par distance nécessite une position (lat, lng)')
+    .custom((value, { req }) => value !== 'distance' || !req.query.search)
+    .withMessage('Le tri par distance n\'est pas compatible avec une recherche textuelle')
+    .custom((value, { req }) => value !== 'relevance' || Boolean(req.query.search))
+    .withMessage('Le tri par pertinence nécessite une recherche'),
+  query('minPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('maxPrice').optional().isFloat({ min: 0 }).toFloat(),
+  query('maxPrice')
+    .custom((value, { req }) => value === undefined || req.query.minPrice === undefined || value >= req.query.minPrice)
+    .withMessage('Le prix maximum doit être supérieur au prix minimum'),
+  query('priceType')
+    .optional()
+    .customSanitizer(toList)
+    .custom(values => values.every(value => Service.PRICE_TYPES.includes(value)))
+    .withMessage('Type de prix invalide'),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).toFloat(),
+  query('tags').optional().customSanitizer(toList),
+  query('availableFrom').optional().isISO8601().toDate(),
+  query('availableTo').optional().isISO8601().toDate(),
+  query('availableTo')
+    .custom((value, { req }) => !value || !req.query.availableFrom || value >= req.query.availableFrom)
+    .withMessage('La fin de la période doit être postérieure à son début'),
+  query('providerId').optional().isMongoId(),
+  query('verified').optional().isBoolean().toBoolean(),
+  query('facets').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     // Vérifier les erreurs de validation
@@ -85,78 +161,158 @@ router.get('/', [
       limit = 20,
       category,
       search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      lat,
+      lng,
+      radius = 25,
+      minPrice,
+      maxPrice,
+      priceType,
+      minRating,
+      tags,
+      availableFrom,
+      availableTo,
+      providerId,
+      verified,
+      facets = true,
+      cursor,
+      includeTotal = !cursor
     } = req.query;
 
+    // Avec une recherche, les résultats sont triés par pertinence par défaut
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'createdAt');
+
     // Construire les critères de recherche
     const searchCriteria = { isActive: true };
 
+    // Filtres des dimensions à facettes (catégorie, prix, type de prix)
+    const facetFilters = {};
+
     if (category && category !== 'Tous') {
-      searchCriteria.category = category;
+      facetFilters.category = category;
     }
 
-    if (search) {
-      searchCriteria.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      facetFilters.price = {};
+      if (minPrice !== undefined) facetFilters.price.$gte = minPrice;
+      if (maxPrice !== undefined) facetFilters.price.$lte = maxPrice;
+    }
+
+    if (priceType && priceType.length > 0) {
+      facetFilters.priceType = { $in: priceType };
+    }
+
+    if (minRating !== undefined) {
+      searchCriteria.rating = { $gte: minRating };
+    }
+
+    if (tags && tags.length > 0) {
+      searchCriteria.tags = { $all: tags };
+    }
+
+    // Le service doit être disponible sur toute la période demandée
+    if (availableFrom || availableTo) {
+      const windowStart = availableFrom || availableTo;
+      const windowEnd = availableTo || availableFrom;
+      searchCriteria.$and = [
+        { $or: [{ availableFrom: null }, { availableFrom: { $lte: windowStart } }] },
+        { $or: [{ availableTo: null }, { availableTo: { $gte: windowEnd } }] }
       ];
     }
 
-    // Construire l'ordre de tri
+    // Filtre par prestataire et masquage des utilisateurs bloqués (dans les deux sens)
+    const userCriteria = {};
+    if (providerId) {
+      userCriteria.$eq = new mongoose.Types.ObjectId(providerId);
+    }
+    // Uniquement les prestataires à l'identité vérifiée
+    if (verified) {
+      userCriteria.$in = await User.find(User.verifiedProviderCriteria()).distinct('_id');
+    }
+    if (req.user) {
+      const blockedIds = await User.getBlockedRelations(req.user._id);
+      if (blockedIds.length > 0) {
+        userCriteria.$nin = blockedIds;
+      }
+    }
+    if (Object.keys(userCriteria).length > 0) {
+      searchCriteria.userId = userCriteria;
+    }
+
+    // Recherche texte (index français) : "expression exacte" et -mot sont acceptés
+    if (search) {
+      searchCriteria.$text = Service.textSearchCriteria(search);
+    }
+
+    // Filtrer par rayon (en km) autour de la position demandée
+    const origin = lat !== undefined ? toPoint(lat, lng) : null;
+    if (origin) {
+      searchCriteria.geoLocation = {
+        $geoWithin: { $centerSphere: [origin.coordinates, radius / EARTH_RADIUS_KM] }
+      };
+    }
+
+    const findCriteria = { ...searchCriteria, ...facetFilters };
+    const countCriteria = { ...findCriteria };
+
+    // $nearSphere trie directement par distance croissante
+    if (origin && sortBy === 'distance') {
+      findCriteria.geoLocation = {
+        $nearSphere: { $geometry: origin, $maxDistance: radius * 1000 }
+      };
+    }
+
+    // Construire l'ordre de tri (l'ID départage les égalités pour un ordre stable)
+    const direction = sortOrder === 'asc' ? 1 : -1;
     const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    if (sortBy === 'relevance') {
+      sortOptions.score = { $meta: 'textScore' };
+      sortOptions.createdAt = -1;
+    } else if (sortBy !== 'distance') {
+      sortOptions[sortBy] = direction;
+    }
+    if (sortBy !== 'distance') {
+      sortOptions._id = sortBy === 'relevance' ? -1 : direction;
+    }
 
-    const skip = (page - 1) * limit;
+    const skip = cursor ? 0 : (page - 1) * limit;
 
-    // Récupérer les services
-    const services = await Service.find(searchCriteria)
-      .populate('userId', 'firstName lastName rating ratingCount avatar')
+    // Récupérer les services (un de plus que demandé pour savoir s'il reste une page)
+    const projection = search ? { score: { $meta: 'textScore' } } : {};
+    const results = await Service.find(applyCursor(findCriteria, cursor, direction), projection)
+      .populate('userId', PROVIDER_SUMMARY_FIELDS)
       .sort(sortOptions)
-      .limit(limit)
+      .limit(limit + 1)
       .skip(skip);
 
-    // Compter le total pour la pagination
-    const total = await Service.countDocuments(searchCriteria);
+    // Le total est optionnel ($nearSphere n'est pas accepté par countDocuments)
+    const { items: services, pagination } = await buildPage(results, {
+      limit,
+      page,
+      cursor,
+      withCursor: sortBy === 'createdAt',
+      countTotal: includeTotal ? () => Service.countDocuments(countCriteria) : null
+    });
+
+    // Compteurs pour la barre de filtres
+    const facetCounts = facets ? await Service.getFacets(searchCriteria, facetFilters) : null;
+
+    // Indiquer les favoris de l'utilisateur connecté
+    const favoriteIds = req.user
+      ? await Favorite.getFavoriteIds(req.user._id, 'Service', services.map(service => service._id))
+      : null;
 
     // Formatter les résultats
-    const formattedServices = services.map(service => ({
-      id: service._id,
-      title: service.title,
-      content: service.content,
-      category: service.category,
-      price: service.price,
-      priceType: service.priceType,
-      location: service.location,
-      userName: service.userName,
-      userType: service.userType,
-      userId: service.userId._id,
-      userDetails: {
-        fullName: `${service.userId.firstName} ${service.userId.lastName}`,
-        rating: service.userId.rating,
-        ratingCount: service.userId.ratingCount,
-        avatar: service.userId.avatar
-      },
-      images: service.images,
-      tags: service.tags,
-      views: service.views,
-      requests: service.requests,
-      rating: service.rating,
-      ratingCount: service.ratingCount,
-      createdAt: service.createdAt,
-      updatedAt: service.updatedAt
+    const formattedServices = services.map(service => formatServiceSummary(service, {
+      origin,
+      isFavorite: favoriteIds ? favoriteIds.has(service._id.toString()) : undefined
     }));
 
     res.json({
       success: true,
       services: formattedServices,
-      pagination: {
-        current: page,
-        total: Math.ceil(total / limit),
-        count: services.length,
-        totalItems: total
-      }
+      pagination,
+      ...(facetCounts && { facets: facetCounts })
     });
 
   } catch (error) {
@@ -168,11 +324,49 @@ router.get('/', [
   }
 });
 
+// Route pour l'autocomplétion de la recherche (titres, tags, catégories, prestataires)
+router.get('/suggest', [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('La saisie est obligatoire')
+    .isLength({ max: 50 })
+    .withMessage('La saisie ne peut pas dépasser 50 caractères'),
+  query('limit').optional().isInt({ min: 1, max: 10 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { q, limit = 5 } = req.query;
+    const suggestions = await getSuggestions(q, limit);
+
+    res.json({
+      success: true,
+      query: q,
+      suggestions
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des suggestions:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // Route pour obtenir un service spécifique
 router.get('/:id', async (req, res) => {
   try {
     const service = await Service.findById(req.params.id)
-      .populate('userId', 'firstName lastName rating ratingCount avatar bio');
+      .populate('userId', `${PROVIDER_SUMMARY_FIELDS} bio`);
 
     if (!service || !service.isActive) {
       return res.status(404).json({
@@ -193,7 +387,9 @@ router.get('/:id', async (req, res) => {
         category: service.category,
         price: service.price,
         priceType: service.priceType,
+        duration: service.duration,
         location: service.location,
+        coordinates: fromPoint(service.geoLocation),
         userName: service.userName,
         userType: service.userType,
         userId: service.userId._id,
@@ -202,7 +398,8 @@ router.get('/:id', async (req, res) => {
           rating: service.userId.rating,
           ratingCount: service.userId.ratingCount,
           avatar: service.userId.avatar,
-          bio: service.userId.bio
+          bio: service.userId.bio,
+          badges: service.userId.getBadges()
         },
         images: service.images,
         tags: service.tags,
@@ -226,8 +423,104 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Nombre maximum de jours couverts par une requête de disponibilités
+const MAX_AVAILABILITY_DAYS = 31;
+
+// Validation d'une date locale "YYYY-MM-DD"
+const localDateValidation = (field) => query(field)
+  .optional()
+  .matches(DATE_PATTERN)
+  .withMessage('Date invalide (YYYY-MM-DD)')
+  .custom(value => !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value))
+  .withMessage('Date invalide (YYYY-MM-DD)');
+
+// Route pour obtenir les créneaux disponibles d'un service (dates locales du prestataire)
+router.get('/:id/availability', [
+  localDateValidation('from'),
+  localDateValidation('to'),
+  query('to')
+    .custom((value, { req }) => !value || !req.query.from || value >= req.query.from)
+    .withMessage('La date de fin doit être postérieure à la date de début')
+    .custom((value, { req }) => !value || !req.query.from ||
+      Date.parse(value) - Date.parse(req.query.from) < MAX_AVAILABILITY_DAYS * 24 * 60 * 60 * 1000)
+    .withMessage(`La période ne peut pas dépasser ${MAX_AVAILABILITY_DAYS} jours`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const service = await Service.findById(req.params.id).select('userId duration isActive');
+
+    if (!service || !service.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Service non trouvé'
+      });
+    }
+
+    const availability = await Availability.findOne({ providerId: service.userId });
+    const timezone = availability ? availability.timezone : Availability.DEFAULT_TIMEZONE;
+    const from = req.query.from || toLocalDate(new Date(), timezone);
+    const to = req.query.to || addDays(from, 6);
+
+    // Sans calendrier configuré, le client propose librement une date
+    if (!availability) {
+      return res.json({
+        success: true,
+        serviceId: service._id,
+        configured: false,
+        timezone,
+        duration: service.duration,
+        from,
+        to,
+        days: []
+      });
+    }
+
+    // Réservations en cours (avec une marge d'un jour pour les temps de battement)
+    const bookings = await ServiceRequest.getBookings(
+      service.userId,
+      zonedToUtc(addDays(from, -1), 0, timezone),
+      zonedToUtc(addDays(to, 2), 0, timezone)
+    );
+
+    const days = computeSlots({
+      availability,
+      duration: service.duration,
+      from,
+      to,
+      bookings
+    });
+
+    res.json({
+      success: true,
+      serviceId: service._id,
+      configured: true,
+      timezone,
+      duration: service.duration,
+      slotInterval: availability.slotInterval,
+      from,
+      to,
+      days
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des disponibilités:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // Route pour créer un nouveau service
-router.post('/', authenticateToken, requireUserType('prestataire'), serviceValidation, async (req, res) => {
+router.post('/', authenticateToken, requireUserType('prestataire'), requireVerifiedPhone, serviceValidation, async (req, res) => {
   try {
     // Vérifier les erreurs de validation
     const errors = validationResult(req);
@@ -245,13 +538,20 @@ router.post('/', authenticateToken, requireUserType('prestataire'), serviceValid
       category,
       price,
       priceType,
+      duration,
       location,
+      lat,
+      lng,
       tags,
       images,
       availableFrom,
       availableTo
     } = req.body;
 
+    // Coordonnées saisies, géocodées, ou à défaut celles du prestataire
+    const geoLocation = await resolvePoint({ lat, lng, address: location }) ||
+      (fromPoint(req.user.geoLocation) ? req.user.geoLocation : undefined);
+
     // Créer le nouveau service
     const service = new Service({
       title,
@@ -259,7 +559,9 @@ router.post('/', authenticateToken, requireUserType('prestataire'), serviceValid
       category,
       price,
       priceType,
+      duration,
       location,
+      geoLocation,
       tags: tags || [],
       images: images || [],
       availableFrom,
@@ -270,9 +572,10 @@ router.post('/', authenticateToken, requireUserType('prestataire'), serviceValid
     });
 
     await service.save();
+    appEvents.emit('service:created', service);
 
     // Populer les informations utilisateur
-    await service.populate('userId', 'firstName lastName rating ratingCount avatar');
+    await service.populate('userId', PROVIDER_SUMMARY_FIELDS);
 
     res.status(201).json({
       success: true,
@@ -284,7 +587,9 @@ router.post('/', authenticateToken, requireUserType('prestataire'), serviceValid
         category: service.category,
         price: service.price,
         priceType: service.priceType,
+        duration: service.duration,
         location: service.location,
+        coordinates: fromPoint(service.geoLocation),
         userName: service.userName,
         userType: service.userType,
         userId: service.userId._id,
@@ -292,7 +597,8 @@ router.post('/', authenticateToken, requireUserType('prestataire'), serviceValid
           fullName: `${service.userId.firstName} ${service.userId.lastName}`,
           rating: service.userId.rating,
           ratingCount: service.userId.ratingCount,
-          avatar: service.userId.avatar
+          avatar: service.userId.avatar,
+          badges: service.userId.getBadges()
         },
         images: service.images,
         tags: service.tags,
@@ -342,30 +648,52 @@ router.put('/:id', authenticateToken, requireOwnership(Service), serviceValidati
       category,
       price,
       priceType,
+      duration,
       location,
+      lat,
+      lng,
       tags,
       images,
       availableFrom,
       availableTo
     } = req.body;
 
+    const updateData = {
+      title,
+      content,
+      category,
+      price,
+      priceType,
+      duration,
+      location,
+      tags: tags || [],
+      images: images || [],
+      availableFrom,
+      availableTo,
+      suggestTerms: Service.buildSuggestTerms({
+        title,
+        tags,
+        userName: req.resource.userName
+      })
+    };
+
+    // Recalculer les coordonnées si elles sont fournies ou si la localisation change
+    if (lat !== undefined || location !== req.resource.location) {
+      const geoLocation = await resolvePoint({ lat, lng, address: location }) ||
+        (fromPoint(req.user.geoLocation) ? req.user.geoLocation : null);
+      if (geoLocation) {
+        updateData.geoLocation = geoLocation;
+      } else {
+        updateData.$unset = { geoLocation: 1 };
+      }
+    }
+
     // Mettre à jour le service
     const updatedService = await Service.findByIdAndUpdate(
       req.params.id,
-      {
-        title,
-        content,
-        category,
-        price,
-        priceType,
-        location,
-        tags: tags || [],
-        images: images || [],
-        availableFrom,
-        availableTo
-      },
+      updateData,
       { new: true, runValidators: true }
-    ).populate('userId', 'firstName lastName rating ratingCount avatar');
+    ).populate('userId', PROVIDER_SUMMARY_FIELDS);
 
     res.json({
       success: true,
@@ -377,7 +705,9 @@ router.put('/:id', authenticateToken, requireOwnership(Service), serviceValidati
         category: updatedService.category,
         price: updatedService.price,
         priceType: updatedService.priceType,
+        duration: updatedService.duration,
         location: updatedService.location,
+        coordinates: fromPoint(updatedService.geoLocation),
         userName: updatedService.userName,
         userType: updatedService.userType,
         userId: updatedService.userId._id,
@@ -385,7 +715,8 @@ router.put('/:id', authenticateToken, requireOwnership(Service), serviceValidati
           fullName: `${updatedService.userId.firstName} ${updatedService.userId.lastName}`,
           rating: updatedService.userId.rating,
           ratingCount: updatedService.userId.ratingCount,
-          avatar: updatedService.userId.avatar
+          avatar: updatedService.userId.avatar,
+          badges: updatedService.userId.getBadges()
         },
         images: updatedService.images,
         tags: updatedService.tags,
@@ -440,6 +771,13 @@ router.get('/user/:userId', async (req, res) => {
       location: service.location,
       userName: service.userName,
       userType: service.userType,
+      userDetails: {
+        fullName: `${service.userId.firstName} ${service.userId.lastName}`,
+        rating: service.userId.rating,
+        ratingCount: service.userId.ratingCount,
+        avatar: service.userId.avatar,
+        badges: service.userId.getBadges()
+      },
       images: service.images,
       tags: service.tags,
       views: service.views,
@@ -464,9 +802,40 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
+// Validation pour faire une demande de service
+const serviceRequestValidation = [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Le message ne peut pas dépasser 1000 caractères'),
+  
+  body('proposedDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date proposée invalide')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('La date proposée doit être dans le futur'),
+  
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('L\'adresse ne peut pas dépasser 300 caractères')
+];
+
 // Route pour faire une demande de service
-router.post('/:id/request', authenticateToken, async (req, res) => {
+router.post('/:id/request', authenticateToken, requireVerifiedPhone, serviceRequestValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
     const service = await Service.findById(req.params.id)
       .populate('userId', 'firstName lastName');
 
@@ -485,12 +854,90 @@ router.post('/:id/request', authenticateToken, async (req, res) => {
       });
     }
 
+    // Un utilisateur bloqué ne peut pas contacter le prestataire
+    if (await User.isBlockedBetween(req.user._id, service.userId._id)) {
+      return res.status(403).json({
+        error: true,
+        message: 'Vous ne pouvez pas contacter ce prestataire'
+      });
+    }
+
+    // Éviter les demandes en double tant qu'une demande est en cours
+    const openRequest = await ServiceRequest.findOpen(service._id, req.user._id);
+    if (openRequest) {
+      return res.status(409).json({
+        error: true,
+        message: 'Vous avez déjà une demande en cours pour ce service',
+        requestId: openRequest._id
+      });
+    }
+
+    const { message = '', proposedDate, address = '' } = req.body;
+
+    // Vérifier que le créneau demandé est libre dans le calendrier du prestataire
+    let slotCheck = null;
+    if (proposedDate) {
+      slotCheck = await checkSlot({
+        providerId: service.userId._id,
+        start: new Date(proposedDate),
+        duration: service.duration
+      });
+
+      if (!slotCheck.available) {
+        return res.status(409).json({
+          error: true,
+          message: slotCheck.message
+        });
+      }
+    }
+
+    // Lier la demande à la conversation du service
+    const conversation = await Conversation.findOrCreateForService(req.user, service.userId, service);
+
+    const serviceRequest = new ServiceRequest({
+      serviceId: service._id,
+      serviceTitle: service.title,
+      clientId: req.user._id,
+      clientName: `${req.user.firstName} ${req.user.lastName}`,
+      providerId: service.userId._id,
+      providerName: `${service.userId.firstName} ${service.userId.lastName}`,
+      conversationId: conversation._id,
+      message,
+      proposedDate: proposedDate || null,
+      address
+    });
+
+    if (proposedDate) {
+      serviceRequest.setSlot(new Date(proposedDate), service.duration);
+    }
+
+    await serviceRequest.save();
+
+    // Réservation concurrente du même créneau : la première enregistrée l'emporte
+    if (slotCheck && await hasPriorConflict(serviceRequest, slotCheck.bufferMinutes)) {
+      await serviceRequest.deleteOne();
+      return res.status(409).json({
+        error: true,
+        message: 'Ce créneau est déjà réservé'
+      });
+    }
+
+    appEvents.emit('service-request:created', serviceRequest);
+
+    await conversation.postSystemMessage(
+      req.user,
+      message
+        ? `Nouvelle demande pour "${service.title}" : ${message}`
+        : `Nouvelle demande pour "${service.title}"`
+    );
+
     // Incrémenter le compteur de demandes
     await service.incrementRequests();
 
-    res.json({
+    res.status(201).json({
       success: true,
       message: 'Demande envoyée avec succès',
+      request: serviceRequest.toPublic(req.user._id),
       serviceOwner: {
         id: service.userId._id,
         name: `${service.userId.firstName} ${service.userId.lastName}`
@@ -499,6 +946,275 @@ router.post('/:id/request', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Erreur lors de la demande de service:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Validation pour publier un avis
+const reviewValidation = [
+  body('rating')
+    .notEmpty()
+    .withMessage('La note est obligatoire')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('La note doit être un entier entre 1 et 5')
+    .toInt(),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Le commentaire ne peut pas dépasser 1000 caractères')
+];
+
+// Route pour obtenir les avis d'un service
+router.get('/:id/reviews', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const service = await Service.findById(req.params.id);
+    if (!service || !service.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Service non trouvé'
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const reviews = await Review.getForService(service._id, limit, skip);
+    const total = await Review.countDocuments({ serviceId: service._id, isVisible: true });
+    const distribution = await Review.getDistribution({ serviceId: service._id });
+
+    res.json({
+      success: true,
+      reviews: reviews.map(review => review.toPublic()),
+      summary: {
+        rating: service.rating,
+        ratingCount: service.ratingCount,
+        distribution: distribution.map(d => ({ rating: d._id, count: d.count }))
+      },
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: reviews.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des avis:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour publier un avis sur un service
+router.post('/:id/reviews', authenticateToken, requireUserType('particulier'), reviewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { rating, comment } = req.body;
+
+    const service = await Service.findById(req.params.id);
+    if (!service || !service.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Service non trouvé'
+      });
+    }
+
+    // Un prestataire ne peut pas évaluer son propre service
+    if (service.userId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Vous ne pouvez pas évaluer votre propre service'
+      });
+    }
+
+    const existingReview = await Review.findOne({
+      serviceId: service._id,
+      reviewerId: req.user._id
+    });
+    if (existingReview) {
+      return res.status(409).json({
+        error: true,
+        message: 'Vous avez déjà évalué ce service'
+      });
+    }
+
+    // Vérifier qu'il y a eu une prestation terminée ou un réel échange avec le prestataire
+    const completedRequest = await ServiceRequest.exists({
+      serviceId: service._id,
+      clientId: req.user._id,
+      status: 'completed'
+    });
+
+    let providerReplied = null;
+    if (!completedRequest) {
+      const conversation = await Conversation.findBetweenUsers(req.user._id, service.userId);
+      providerReplied = conversation
+        ? await Message.exists({
+          conversationId: conversation._id,
+          senderId: service.userId,
+          messageType: { $ne: 'system' }
+        })
+        : null;
+    }
+
+    if (!completedRequest && !providerReplied) {
+      return res.status(403).json({
+        error: true,
+        message: 'Vous devez avoir échangé avec le prestataire avant de laisser un avis'
+      });
+    }
+
+    const review = new Review({
+      serviceId: service._id,
+      providerId: service.userId,
+      reviewerId: req.user._id,
+      reviewerName: `${req.user.firstName} ${req.user.lastName}`,
+      rating,
+      comment
+    });
+
+    await review.save();
+
+    // Mettre à jour les moyennes du service et du prestataire
+    await Review.applyRating(service._id, service.userId, rating);
+    appEvents.emit('review:created', review);
+
+    const updatedService = await Service.findById(service._id).select('rating ratingCount');
+
+    res.status(201).json({
+      success: true,
+      message: 'Avis publié avec succès',
+      review: review.toPublic(),
+      serviceRating: {
+        rating: updatedService.rating,
+        ratingCount: updatedService.ratingCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la publication de l\'avis:', error);
+
+    // Doublon détecté par l'index unique (requêtes concurrentes)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: true,
+        message: 'Vous avez déjà évalué ce service'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour répondre publiquement à un avis (prestataire uniquement)
+router.post('/:id/reviews/:reviewId/reply', authenticateToken, [
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('La réponse est obligatoire')
+    .isLength({ max: 1000 })
+    .withMessage('La réponse ne peut pas dépasser 1000 caractères')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      serviceId: req.params.id
+    });
+
+    if (!review || !review.isVisible) {
+      return res.status(404).json({
+        error: true,
+        message: 'Avis non trouvé'
+      });
+    }
+
+    if (review.providerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: true,
+        message: 'Seul le prestataire concerné peut répondre à cet avis'
+      });
+    }
+
+    if (review.hasReply()) {
+      return res.status(409).json({
+        error: true,
+        message: 'Vous avez déjà répondu à cet avis'
+      });
+    }
+
+    await review.addReply(req.body.content);
+
+    res.json({
+      success: true,
+      message: 'Réponse publiée avec succès',
+      review: review.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la réponse à l\'avis:', error);
     res.status(500).json({
       error: true,
       message: 'Erreur interne du serveur'
@@ -0,0 +1,84 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { receiveFiles, storeFile, storeFiles } = require('../utils/upload');
+
+const router = express.Router();
+
+// Fonction pour répondre en cas d'erreur de stockage
+const handleUploadError = (res, error, context) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      error: true,
+      message: error.message
+    });
+  }
+
+  console.error(`Erreur lors de l'upload ${context}:`, error);
+  res.status(500).json({
+    error: true,
+    message: 'Erreur interne du serveur'
+  });
+};
+
+// Route pour envoyer un avatar (met à jour User.avatar)
+router.post('/avatar', authenticateToken, receiveFiles('avatar', 'avatar'), async (req, res) => {
+  try {
+    const stored = await storeFile(req.files[0], `avatars/${req.user._id}`);
+
+    await User.findByIdAndUpdate(req.user._id, { avatar: stored.url });
+
+    res.status(201).json({
+      success: true,
+      message: 'Avatar mis à jour avec succès',
+      avatar: stored.url,
+      thumbnailUrl: stored.thumbnailUrl
+    });
+
+  } catch (error) {
+    handleUploadError(res, error, 'de l\'avatar');
+  }
+});
+
+// Route pour envoyer des images de service
+// (les URLs retournées sont à passer dans "images" lors de la création/modification)
+router.post('/service-images', authenticateToken, requireUserType('prestataire'), receiveFiles('serviceImages', 'images'), async (req, res) => {
+  try {
+    const stored = await storeFiles(req.files, `services/${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Images envoyées avec succès',
+      images: stored.map(file => file.url),
+      files: stored
+    });
+
+  } catch (error) {
+    handleUploadError(res, error, 'des images de service');
+  }
+});
+
+// Route pour envoyer des pièces jointes de message
+// (le tableau retourné correspond au champ "attachments" d'un message)
+router.post('/attachments', authenticateToken, receiveFiles('attachments', 'files'), async (req, res) => {
+  try {
+    const stored = await storeFiles(req.files, `attachments/${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pièces jointes envoyées avec succès',
+      attachments: stored.map(file => ({
+        type: file.type,
+        url: file.url,
+        thumbnailUrl: file.thumbnailUrl,
+        filename: file.filename,
+        size: file.size
+      }))
+    });
+
+  } catch (error) {
+    handleUploadError(res, error, 'des pièces jointes');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,23 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const path = require('path');
+const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Service = require('../models/Service');
-const { authenticateToken } = require('../middleware/auth');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const Availability = require('../models/Availability');
+const Payout = require('../models/Payout');
+const VerificationDocument = require('../models/VerificationDocument');
+const { authenticateToken, requirePermission, requireUserType } = require('../middleware/auth');
+const appEvents = require('../utils/events');
+const { sendPhoneVerificationCode } = require('../utils/phoneVerification');
+const { resolvePoint, fromPoint } = require('../utils/geo');
+const { escapeRegex } = require('../utils/text');
+const { paginationValidation, applyCursor, buildPage } = require('../utils/pagination');
+const { TIME_PATTERN, DATE_PATTERN, isValidTimeZone } = require('../utils/schedule');
+const { getBalances, getEarnings, earningsToCsv, requestPayout, cancelPayout } = require('../utils/ledger');
+const { receiveFiles, assertFileContent } = require('../utils/upload');
+const { getVerificationStatus, sendVerificationDocument } = require('../utils/verification');
 
 const router = express.Router();
 
@@ -35,7 +50,27 @@ const updateProfileValidation = [
   body('type')
     .optional()
     .isIn(['particulier', 'prestataire'])
-    .withMessage('Le type doit être "particulier" ou "prestataire"')
+    .withMessage('Le type doit être "particulier" ou "prestataire"'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La localisation ne peut pas dépasser 200 caractères'),
+
+  body('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude invalide')
+    .custom((value, { req }) => req.body.lng !== undefined)
+    .withMessage('La latitude et la longitude doivent être fournies ensemble'),
+
+  body('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude invalide')
+    .custom((value, { req }) => req.body.lat !== undefined)
+    .withMessage('La latitude et la longitude doivent être fournies ensemble')
 ];
 
 // Route pour obtenir le profil utilisateur
@@ -62,10 +97,14 @@ router.get('/profile', authenticateToken, async (req, res) => {
         type: user.type,
         fullName: user.fullName,
         initials: user.initials,
+        isPhoneVerified: user.isPhoneVerified,
         avatar: user.avatar,
         bio: user.bio,
+        location: user.location,
+        coordinates: fromPoint(user.geoLocation),
         rating: user.rating,
         ratingCount: user.ratingCount,
+        badges: user.getBadges(),
         servicesCount,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
@@ -93,7 +132,7 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
       });
     }
 
-    const { firstName, lastName, phone, bio, type } = req.body;
+    const { firstName, lastName, phone, bio, type, location, lat, lng } = req.body;
     const userId = req.user._id;
 
     // Vérifier si le téléphone n'est pas déjà utilisé par un autre utilisateur
@@ -115,10 +154,27 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
     const updateData = {};
     if (firstName !== undefined) updateData.firstName = firstName;
     if (lastName !== undefined) updateData.lastName = lastName;
-    if (phone !== undefined) updateData.phone = phone;
+    // Un nouveau numéro doit être vérifié à nouveau
+    const phoneChanged = phone !== undefined && phone !== req.user.phone;
+    if (phoneChanged) {
+      updateData.phone = phone;
+      updateData.isPhoneVerified = false;
+      updateData.phoneVerifiedAt = null;
+    }
     if (bio !== undefined) updateData.bio = bio;
     if (type !== undefined) updateData.type = type;
 
+    // Coordonnées explicites ou géocodage de la nouvelle localisation
+    if (location !== undefined) updateData.location = location;
+    if (lat !== undefined || (location !== undefined && location !== req.user.location)) {
+      const point = await resolvePoint({ lat, lng, address: location });
+      if (point) {
+        updateData.geoLocation = point;
+      } else if (location !== undefined) {
+        updateData.$unset = { geoLocation: 1 };
+      }
+    }
+
     // Mettre à jour l'utilisateur
     const updatedUser = await User.findByIdAndUpdate(
       userId,
@@ -133,6 +189,22 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
       });
     }
 
+    let verificationCodeSent = false;
+    if (phoneChanged) {
+      appEvents.emit('account:event', {
+        userId,
+        title: 'Numéro de téléphone modifié',
+        body: 'Le numéro de téléphone associé à votre compte a été modifié, veuillez le vérifier'
+      });
+
+      try {
+        await sendPhoneVerificationCode(updatedUser);
+        verificationCodeSent = true;
+      } catch (error) {
+        console.error('Erreur lors de l\'envoi du code de vérification:', error);
+      }
+    }
+
     // Si le type a changé et que l'utilisateur devient particulier,
     // désactiver tous ses services
     if (type === 'particulier' && req.user.type === 'prestataire') {
@@ -153,11 +225,15 @@ router.put('/profile', authenticateToken, updateProfileValidation, async (req, r
         type: updatedUser.type,
         fullName: updatedUser.fullName,
         initials: updatedUser.initials,
+        isPhoneVerified: updatedUser.isPhoneVerified,
         avatar: updatedUser.avatar,
         bio: updatedUser.bio,
+        location: updatedUser.location,
+        coordinates: fromPoint(updatedUser.geoLocation),
         rating: updatedUser.rating,
         ratingCount: updatedUser.ratingCount
-      }
+      },
+      ...(phoneChanged && { verificationCodeSent })
     });
 
   } catch (error) {
@@ -218,6 +294,15 @@ router.put('/change-password', authenticateToken, [
     user.password = newPassword;
     await user.save();
 
+    // Déconnecter toutes les autres sessions
+    await Session.revokeAllForUser(user._id, 'password_change', req.authSession._id);
+
+    appEvents.emit('account:event', {
+      userId: user._id,
+      title: 'Mot de passe modifié',
+      body: 'Le mot de passe de votre compte a été modifié. Si vous n\'êtes pas à l\'origine de ce changement, contactez le support.'
+    });
+
     res.json({
       success: true,
       message: 'Mot de passe mis à jour avec succès'
@@ -240,6 +325,9 @@ router.delete('/account', authenticateToken, async (req, res) => {
     // Désactiver l'utilisateur au lieu de le supprimer
     await User.findByIdAndUpdate(userId, { isActive: false });
 
+    // Révoquer toutes ses sessions
+    await Session.revokeAllForUser(userId, 'account_deleted');
+
     // Désactiver tous ses services
     await Service.updateMany(
       { userId },
@@ -260,18 +348,32 @@ router.delete('/account', authenticateToken, async (req, res) => {
   }
 });
 
-// Route pour rechercher des utilisateurs (pour admin ou fonctionnalités futures)
-router.get('/search', authenticateToken, async (req, res) => {
+// Route pour rechercher des utilisateurs (réservée à la modération : expose les téléphones)
+router.get('/search', authenticateToken, requirePermission('users:read'), [
+  ...paginationValidation(50),
+  query('q').optional().trim().isLength({ max: 100 }),
+  query('type').optional().isIn(['particulier', 'prestataire'])
+], async (req, res) => {
   try {
-    const { q, type, limit = 10, page = 1 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { q, type, limit = 10, page = 1, cursor, includeTotal = !cursor } = req.query;
     
     const searchCriteria = { isActive: true };
     
     if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
       searchCriteria.$or = [
-        { firstName: { $regex: q, $options: 'i' } },
-        { lastName: { $regex: q, $options: 'i' } },
-        { phone: { $regex: q, $options: 'i' } }
+        { firstName: pattern },
+        { lastName: pattern },
+        { phone: pattern }
       ];
     }
     
@@ -279,25 +381,25 @@ router.get('/search', authenticateToken, async (req, res) => {
       searchCriteria.type = type;
     }
 
-    const skip = (page - 1) * limit;
+    const skip = cursor ? 0 : (page - 1) * limit;
     
-    const users = await User.find(searchCriteria)
-      .select('firstName lastName phone type rating ratingCount avatar')
-      .limit(parseInt(limit))
+    const results = await User.find(applyCursor(searchCriteria, cursor))
+      .select('firstName lastName phone type rating ratingCount avatar createdAt')
+      .limit(limit + 1)
       .skip(skip)
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: -1, _id: -1 });
 
-    const total = await User.countDocuments(searchCriteria);
+    const { items: users, pagination } = await buildPage(results, {
+      limit,
+      page,
+      cursor,
+      countTotal: includeTotal ? () => User.countDocuments(searchCriteria) : null
+    });
 
     res.json({
       success: true,
       users,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / limit),
-        count: users.length,
-        totalItems: total
-      }
+      pagination
     });
 
   } catch (error) {
@@ -327,6 +429,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
       stats.servicesPosted = services.length;
       stats.totalViews = services.reduce((sum, service) => sum + service.views, 0);
       stats.totalRequests = services.reduce((sum, service) => sum + service.requests, 0);
+      stats.earnings = await getBalances(userId);
     }
 
     res.json({
@@ -343,4 +446,780 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Route pour lister les sessions actives (appareils connectés)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => session.toPublic(req.authSession._id))
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des sessions:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour révoquer toutes les autres sessions
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all', req.authSession._id);
+
+    res.json({
+      success: true,
+      message: 'Toutes les autres sessions ont été déconnectées',
+      revoked: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la révocation des sessions:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour révoquer une session spécifique
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: true,
+        message: 'Session non trouvée'
+      });
+    }
+
+    await session.revoke(session._id.equals(req.authSession._id) ? 'logout' : 'revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session déconnectée avec succès',
+      isCurrent: session._id.equals(req.authSession._id)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la révocation de la session:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Durée maximale d'une période de consultation des gains (jours)
+const MAX_EARNINGS_PERIOD_DAYS = 366;
+
+// Route pour obtenir les gains du prestataire (soldes, détail par prestation, export CSV)
+router.get('/earnings', authenticateToken, requireUserType('prestataire'), [
+  query('from').optional().isISO8601().withMessage('Date de début invalide').toDate(),
+  query('to').optional().isISO8601().withMessage('Date de fin invalide').toDate(),
+  query('to')
+    .custom((value, { req }) => !value || !req.query.from || value >= req.query.from)
+    .withMessage('La date de fin doit être postérieure à la date de début'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    // Période par défaut : les 30 derniers jours
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (to - from > MAX_EARNINGS_PERIOD_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: true,
+        message: `La période ne peut pas dépasser ${MAX_EARNINGS_PERIOD_DAYS} jours`
+      });
+    }
+
+    const balances = await getBalances(req.user._id);
+    const { rows, summary } = await getEarnings(req.user._id, { from, to });
+
+    if (req.query.format === 'csv') {
+      const filename = `revenus_${from.toISOString().substring(0, 10)}_${to.toISOString().substring(0, 10)}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(earningsToCsv(rows));
+    }
+
+    res.json({
+      success: true,
+      period: { from, to },
+      balances,
+      summary,
+      entries: rows
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des gains:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour lister ses demandes de versement
+router.get('/payouts', authenticateToken, requireUserType('prestataire'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('status').optional().isIn(Payout.STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const criteria = { providerId: req.user._id };
+    if (status) criteria.status = status;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(criteria)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Payout.countDocuments(criteria)
+    ]);
+
+    res.json({
+      success: true,
+      payouts: payouts.map(payout => payout.toPublic()),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: payouts.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des versements:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour demander le versement de ses gains disponibles
+router.post('/payouts', authenticateToken, requireUserType('prestataire'), [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Montant invalide')
+    .toFloat(),
+
+  body('method')
+    .isIn(Payout.METHODS)
+    .withMessage('Moyen de versement invalide'),
+
+  body('accountReference')
+    .trim()
+    .notEmpty()
+    .withMessage('Le compte de destination est obligatoire')
+    .isLength({ max: 50 })
+    .withMessage('Le compte de destination ne peut pas dépasser 50 caractères'),
+
+  body('accountHolder')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Le titulaire ne peut pas dépasser 100 caractères')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { payout, status, error, balances } = await requestPayout(req.user, req.body);
+
+    if (!payout) {
+      return res.status(status).json({
+        error: true,
+        message: error,
+        ...(balances && { balances })
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Demande de versement enregistrée',
+      payout: payout.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la demande de versement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour annuler une demande de versement pas encore traitée
+router.put('/payouts/:id/cancel', authenticateToken, requireUserType('prestataire'), async (req, res) => {
+  try {
+    const payout = await Payout.findOne({ _id: req.params.id, providerId: req.user._id });
+
+    if (!payout) {
+      return res.status(404).json({
+        error: true,
+        message: 'Versement non trouvé'
+      });
+    }
+
+    const cancelled = await cancelPayout(payout, req.user._id, 'Annulé par le prestataire');
+
+    if (!cancelled) {
+      return res.status(409).json({
+        error: true,
+        message: `Impossible d'annuler un versement au statut "${payout.status}"`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Demande de versement annulée',
+      payout: cancelled.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'annulation du versement:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir l'état de sa vérification (badges, justificatifs envoyés)
+router.get('/verification', authenticateToken, requireUserType('prestataire'), async (req, res) => {
+  try {
+    const verification = await getVerificationStatus(req.user);
+
+    res.json({
+      success: true,
+      verification
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la vérification:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour envoyer un justificatif (champ multipart "document", examiné par l'équipe)
+router.post('/verification/documents', authenticateToken, requireUserType('prestataire'), receiveFiles('verificationDocument', 'document'), [
+  body('type')
+    .isIn(VerificationDocument.TYPES)
+    .withMessage('Type de document invalide'),
+
+  body('expiresAt')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Date d\'expiration invalide')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Le document est déjà expiré')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { type, expiresAt } = req.body;
+
+    const pending = await VerificationDocument.exists({ userId: req.user._id, type, status: 'pending' });
+    if (pending) {
+      return res.status(409).json({
+        error: true,
+        message: 'Un document de ce type est déjà en attente de vérification'
+      });
+    }
+
+    const [file] = req.files;
+    await assertFileContent(file);
+
+    const document = await VerificationDocument.create({
+      userId: req.user._id,
+      type,
+      filename: path.basename(file.originalname),
+      mimeType: file.mimetype,
+      size: file.size,
+      content: file.buffer,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document envoyé, il sera examiné par notre équipe',
+      document: document.toPublic()
+    });
+
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Erreur lors de l\'envoi du justificatif:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour télécharger un de ses justificatifs
+router.get('/verification/documents/:id/file', authenticateToken, requireUserType('prestataire'), async (req, res) => {
+  try {
+    const document = await VerificationDocument.findOne({ _id: req.params.id, userId: req.user._id }).select('+content');
+
+    if (!document) {
+      return res.status(404).json({
+        error: true,
+        message: 'Document non trouvé'
+      });
+    }
+
+    sendVerificationDocument(res, document);
+
+  } catch (error) {
+    console.error('Erreur lors du téléchargement du justificatif:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour retirer un justificatif pas encore examiné
+router.delete('/verification/documents/:id', authenticateToken, requireUserType('prestataire'), async (req, res) => {
+  try {
+    const document = await VerificationDocument.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!document) {
+      return res.status(404).json({
+        error: true,
+        message: 'Document non trouvé'
+      });
+    }
+
+    const deleted = await VerificationDocument.findOneAndDelete({ _id: document._id, status: 'pending' });
+
+    if (!deleted) {
+      return res.status(409).json({
+        error: true,
+        message: 'Seuls les documents en attente de vérification peuvent être retirés'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Document retiré'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du retrait du justificatif:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Validation d'une plage horaire "HH:MM"
+const timeRangeValidation = (prefix) => [
+  body(`${prefix}.start`)
+    .matches(TIME_PATTERN)
+    .withMessage('Heure de début invalide (HH:MM)'),
+
+  body(`${prefix}.end`)
+    .matches(TIME_PATTERN)
+    .withMessage('Heure de fin invalide (HH:MM)')
+];
+
+// Validation d'une exception au calendrier (jour fermé ou horaires spécifiques)
+const exceptionValidation = (prefix) => [
+  body(`${prefix}date`)
+    .matches(DATE_PATTERN)
+    .withMessage('Date invalide (YYYY-MM-DD)'),
+
+  body(`${prefix}closed`)
+    .optional()
+    .isBoolean()
+    .withMessage('Le champ "closed" doit être un booléen')
+    .toBoolean(),
+
+  body(`${prefix}ranges`)
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Les plages horaires doivent être un tableau (10 maximum)'),
+
+  ...timeRangeValidation(`${prefix}ranges.*`),
+
+  body(`${prefix}reason`)
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Le motif ne peut pas dépasser 200 caractères')
+];
+
+// Validation pour la mise à jour du calendrier de disponibilités
+const availabilityValidation = [
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Fuseau horaire invalide'),
+
+  body('weekly')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Les horaires hebdomadaires doivent être un tableau'),
+
+  body('weekly.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Jour invalide (0 = dimanche, 6 = samedi)')
+    .toInt(),
+
+  ...timeRangeValidation('weekly.*'),
+
+  body('exceptions')
+    .optional()
+    .isArray({ max: 365 })
+    .withMessage('Les exceptions doivent être un tableau'),
+
+  ...exceptionValidation('exceptions.*.'),
+
+  body('slotInterval').optional().isInt({ min: 5, max: 240 }).withMessage('Intervalle invalide').toInt(),
+  body('bufferMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Temps de battement invalide').toInt(),
+  body('minNoticeHours').optional().isInt({ min: 0, max: 720 }).withMessage('Délai de prévenance invalide').toInt(),
+  body('maxAdvanceDays').optional().isInt({ min: 1, max: 365 }).withMessage('Horizon de réservation invalide').toInt()
+];
+
+// Fonction pour formatter les erreurs de validation Mongoose du calendrier
+const availabilityErrorDetails = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+// Route pour obtenir son calendrier de disponibilités (prestataire)
+router.get('/availability', authenticateToken, requireUserType('prestataire'), async (req, res) => {
+  try {
+    const availability = await Availability.getForProvider(req.user._id);
+
+    res.json({
+      success: true,
+      configured: !availability.isNew,
+      availability: availability.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des disponibilités:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour définir son calendrier de disponibilités (prestataire)
+router.put('/availability', authenticateToken, requireUserType('prestataire'), availabilityValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const availability = await Availability.getForProvider(req.user._id);
+
+    ['timezone', 'weekly', 'exceptions', 'slotInterval', 'bufferMinutes', 'minNoticeHours', 'maxAdvanceDays']
+      .forEach(field => {
+        if (req.body[field] !== undefined) {
+          availability[field] = req.body[field];
+        }
+      });
+
+    await availability.save();
+
+    res.json({
+      success: true,
+      message: 'Disponibilités mises à jour avec succès',
+      availability: availability.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des disponibilités:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: availabilityErrorDetails(error)
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour ajouter ou remplacer une exception (congés, jour bloqué, horaires spécifiques)
+router.post('/availability/exceptions', authenticateToken, requireUserType('prestataire'), exceptionValidation(''), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: errors.array()
+      });
+    }
+
+    const { date, closed = true, ranges = [], reason = '' } = req.body;
+
+    const availability = await Availability.getForProvider(req.user._id);
+    availability.setException({ date, closed, ranges, reason });
+    await availability.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Exception enregistrée avec succès',
+      availability: availability.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de l\'exception:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: true,
+        message: 'Données invalides',
+        details: availabilityErrorDetails(error)
+      });
+    }
+
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour retirer l'exception d'une date
+router.delete('/availability/exceptions/:date', authenticateToken, requireUserType('prestataire'), async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ providerId: req.user._id });
+
+    if (!availability || !availability.removeException(req.params.date)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Exception non trouvée'
+      });
+    }
+
+    await availability.save();
+
+    res.json({
+      success: true,
+      message: 'Exception supprimée avec succès',
+      availability: availability.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'exception:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour lister les utilisateurs bloqués
+router.get('/blocked', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'firstName lastName avatar type');
+
+    res.json({
+      success: true,
+      blockedUsers: user.blockedUsers.map(blocked => ({
+        id: blocked._id,
+        firstName: blocked.firstName,
+        lastName: blocked.lastName,
+        avatar: blocked.avatar,
+        type: blocked.type
+      }))
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des utilisateurs bloqués:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour bloquer un utilisateur
+router.post('/:id/block', authenticateToken, async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Vous ne pouvez pas vous bloquer vous-même'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    await User.blockUser(req.user._id, user._id);
+
+    res.json({
+      success: true,
+      message: 'Utilisateur bloqué avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du blocage de l\'utilisateur:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour débloquer un utilisateur
+router.delete('/:id/block', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.hasBlocked(req.params.id)) {
+      return res.status(404).json({
+        error: true,
+        message: 'Utilisateur bloqué non trouvé'
+      });
+    }
+
+    await User.unblockUser(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Utilisateur débloqué avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du déblocage de l\'utilisateur:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Route pour obtenir les avis reçus par un prestataire
+router.get('/:id/reviews', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Paramètres invalides',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const user = await User.findById(req.params.id).select('firstName lastName type rating ratingCount isActive');
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        error: true,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const reviews = await Review.getForProvider(user._id, limit, skip);
+    const total = await Review.countDocuments({ providerId: user._id, isVisible: true });
+    const distribution = await Review.getDistribution({ providerId: user._id });
+
+    res.json({
+      success: true,
+      reviews: reviews.map(review => review.toPublic()),
+      summary: {
+        rating: user.rating,
+        ratingCount: user.ratingCount,
+        distribution: distribution.map(d => ({ rating: d._id, count: d.count }))
+      },
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: reviews.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des avis:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 module.exports = router;
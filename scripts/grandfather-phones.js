@@ -0,0 +1,33 @@
+// Considère comme vérifiés les numéros des comptes créés avant la vérification par SMS
+// (sans cela, les comptes existants ne peuvent plus publier de service ni contacter un prestataire)
+// Usage : npm run grandfather-phones -- <date de mise en production de la vérification, AAAA-MM-JJ>
+// (date obligatoire : les comptes créés depuis doivent vérifier leur numéro eux-mêmes)
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const [cutoffArg] = process.argv.slice(2);
+const cutoff = cutoffArg ? new Date(cutoffArg) : null;
+
+if (!cutoff || Number.isNaN(cutoff.getTime())) {
+  console.error('Usage : npm run grandfather-phones -- <AAAA-MM-JJ>');
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Date de vérification = date d'inscription (numéro utilisé depuis sans changement)
+  const result = await User.updateMany(
+    { isPhoneVerified: { $ne: true }, createdAt: { $lt: cutoff } },
+    [{ $set: { isPhoneVerified: true, phoneVerifiedAt: '$createdAt' } }]
+  );
+
+  console.log(`✅ Numéro considéré comme vérifié pour ${result.modifiedCount} compte(s) créé(s) avant le ${cutoff.toISOString()}`);
+  await mongoose.connection.close();
+};
+
+run().catch(error => {
+  console.error('❌ Erreur:', error);
+  process.exit(1);
+});
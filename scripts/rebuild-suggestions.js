@@ -0,0 +1,28 @@
+// Recalcule les termes d'autocomplétion de tous les services (services créés avant l'autocomplétion)
+// Usage : npm run rebuild-suggestions
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Service = require('../models/Service');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let updated = 0;
+  const cursor = Service.find().select('title tags userName').cursor();
+
+  for await (const service of cursor) {
+    await Service.updateOne(
+      { _id: service._id },
+      { $set: { suggestTerms: Service.buildSuggestTerms(service) } }
+    );
+    updated += 1;
+  }
+
+  console.log(`✅ Termes d'autocomplétion recalculés pour ${updated} service(s)`);
+  await mongoose.connection.close();
+};
+
+run().catch(error => {
+  console.error('❌ Erreur:', error);
+  process.exit(1);
+});
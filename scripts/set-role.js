@@ -0,0 +1,31 @@
+// Attribue un rôle (user, moderator, admin) à un compte existant
+// Usage : npm run set-role -- <téléphone> <rôle>
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const [phone, role] = process.argv.slice(2);
+
+if (!phone || !User.ROLE_PERMISSIONS[role]) {
+  console.error(`Usage : npm run set-role -- <téléphone> <${Object.keys(User.ROLE_PERMISSIONS).join('|')}>`);
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOneAndUpdate({ phone }, { role }, { new: true });
+  if (!user) {
+    console.error(`❌ Aucun utilisateur avec le numéro ${phone}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.firstName} ${user.lastName} a maintenant le rôle "${user.role}"`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(error => {
+  console.error('❌ Erreur:', error);
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+// Synchronise les index MongoDB avec les schémas (supprime les index obsolètes, crée les nouveaux)
+// Nécessaire après un changement d'options d'index, par exemple l'index texte des services
+// Usage : npm run sync-indexes
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Service = require('../models/Service');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  for (const Model of [Service, User]) {
+    const dropped = await Model.syncIndexes();
+    console.log(`✅ ${Model.modelName} : index synchronisés${dropped.length ? ` (supprimés : ${dropped.join(', ')})` : ''}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(error => {
+  console.error('❌ Erreur:', error);
+  process.exit(1);
+});
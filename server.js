@@ -6,6 +6,17 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 require('dotenv').config();
+const { attachSocketServer } = require('./realtime/socket');
+const { getStorage } = require('./utils/storage');
+const { assertPaymentConfig } = require('./utils/payments');
+const { assertSmsConfig } = require('./utils/sms');
+// Abonnement du centre de notifications aux événements de l'application
+require('./utils/notifier');
+// Séquestre : déblocage ou remboursement des paiements selon le statut des demandes
+require('./utils/escrow');
+// Facturation : émission des factures des demandes terminées
+require('./utils/invoices');
+const { startDigestScheduler } = require('./utils/savedSearchDigest');
 
 const app = express();
 
@@ -38,10 +49,19 @@ app.use(cors({
 }));
 
 // Body parsers
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Corps brut conservé pour vérifier la signature des webhooks de paiement
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Logging
+// Logging (le token d'accès passé en paramètre ?token= par EventSource est masqué dans les journaux)
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/gi, '$1[masqué]'));
 app.use(morgan('combined'));
 
 // MongoDB Connection
@@ -64,12 +84,38 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const serviceRoutes = require('./routes/services');
 const messageRoutes = require('./routes/messages');
+const requestRoutes = require('./routes/requests');
+const notificationRoutes = require('./routes/notifications');
+const uploadRoutes = require('./routes/uploads');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const favoriteRoutes = require('./routes/favorites');
+const savedSearchRoutes = require('./routes/savedSearches');
+const quoteRoutes = require('./routes/quotes');
+const paymentRoutes = require('./routes/payments');
+const invoiceRoutes = require('./routes/invoices');
 
 // Routes principales
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/requests', requestRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+
+// Fichiers envoyés (uniquement avec le stockage sur disque local)
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.directory, { maxAge: '7d' }));
+}
 
 // Route de santé
 app.get('/api/health', (req, res) => {
@@ -113,15 +159,26 @@ app.use('*', (req, res) => {
   });
 });
 
+// Configuration des paiements et des SMS vérifiée avant d'accepter des requêtes
+assertPaymentConfig();
+assertSmsConfig();
+
 // Démarrage du serveur
 const PORT = process.env.PORT || 3001;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Serveur Service Connect démarré sur le port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API URL: http://localhost:${PORT}`);
+  console.log(`⚡ WebSocket: ws://localhost:${PORT}/ws`);
 });
 
+// Passerelle temps réel pour la messagerie
+attachSocketServer(server);
+
+// Résumés quotidiens des recherches enregistrées
+startDigestScheduler();
+
 // Gestion graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 Signal SIGTERM reçu. Arrêt du serveur...');
@@ -0,0 +1,52 @@
+const Availability = require('../models/Availability');
+const ServiceRequest = require('../models/ServiceRequest');
+const { isSlotAvailable } = require('./schedule');
+
+// Fonction pour vérifier qu'un créneau peut être réservé chez un prestataire.
+// respectSchedule : imposer les horaires du calendrier (réservation par un client) ;
+// le prestataire peut planifier en dehors de ses horaires, mais jamais en conflit.
+const checkSlot = async ({ providerId, start, duration, excludeId = null, respectSchedule = true }) => {
+  const availability = await Availability.findOne({ providerId });
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+
+  if (respectSchedule && availability && !isSlotAvailable({ availability, duration, start })) {
+    return {
+      available: false,
+      message: 'Ce créneau ne fait pas partie des disponibilités du prestataire'
+    };
+  }
+
+  const bufferMinutes = availability ? availability.bufferMinutes : 0;
+  const conflict = await ServiceRequest.findConflict(providerId, start, end, excludeId, bufferMinutes);
+
+  if (conflict) {
+    return {
+      available: false,
+      message: 'Ce créneau est déjà réservé'
+    };
+  }
+
+  return { available: true, bufferMinutes };
+};
+
+// Fonction pour vérifier après enregistrement qu'aucune réservation concurrente
+// n'a pris le même créneau : seule la plus ancienne conserve le créneau
+const hasPriorConflict = async (request, bufferMinutes = 0) => {
+  const conflict = await ServiceRequest.findConflict(
+    request.providerId,
+    request.slotStart,
+    request.slotEnd,
+    request._id,
+    bufferMinutes
+  );
+
+  return Boolean(conflict) && (
+    conflict.createdAt < request.createdAt ||
+    (conflict.createdAt.getTime() === request.createdAt.getTime() && conflict._id.toString() < request._id.toString())
+  );
+};
+
+module.exports = {
+  checkSlot,
+  hasPriorConflict
+};
@@ -0,0 +1,41 @@
+// Cache mémoire à durée de vie limitée, évincant les entrées les moins récemment utilisées
+const createCache = ({ max = 500, ttl = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Réinsérer l'entrée pour la marquer comme récemment utilisée
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+      if (entries.size > max) {
+        entries.delete(entries.keys().next().value);
+      }
+      return value;
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = createCache;
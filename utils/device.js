@@ -0,0 +1,36 @@
+// Détection simple du navigateur et du système à partir du User-Agent
+// (suffisant pour afficher "Chrome sur Android" dans la liste des sessions)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+// Fonction pour décrire l'appareil d'une session
+const describeDevice = (userAgent = '') => {
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} sur ${system}`;
+  return browser || system || 'Appareil inconnu';
+};
+
+module.exports = {
+  describeDevice
+};
@@ -0,0 +1,290 @@
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const ServiceRequest = require('../models/ServiceRequest');
+const { getPaymentProvider } = require('./payments');
+const { postPaymentHeld, postRelease, postRefund } = require('./ledger');
+const appEvents = require('./events');
+
+// Fonction pour arrondir un montant au centime
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Fonction pour publier un changement d'état d'un paiement
+const emitPaymentEvent = (payment, event) => {
+  appEvents.emit('payment:updated', { payment, event });
+};
+
+// Fonction pour mettre les fonds sous séquestre une fois le paiement confirmé
+const markHeld = async (paymentId) => {
+  const payment = await Payment.transition(paymentId, ['pending'], {
+    $set: { status: 'held', heldAt: new Date(), nextAction: null, failureReason: '' }
+  });
+  if (!payment) return null;
+
+  await Transaction.record([{
+    userId: payment.payerId,
+    paymentId: payment._id,
+    serviceRequestId: payment.serviceRequestId,
+    type: 'payment',
+    direction: 'debit',
+    amount: payment.amount,
+    currency: payment.currency,
+    description: `Paiement pour "${payment.serviceTitle}"`,
+    reference: `${payment._id}:payment`
+  }]);
+  await postPaymentHeld(payment);
+
+  emitPaymentEvent(payment, 'held');
+
+  // Paiement confirmé après la fin ou l'annulation de la demande : débloquer ou rembourser aussitôt
+  try {
+    const request = await ServiceRequest.findById(payment.serviceRequestId).select('status');
+    if (request && request.status === 'completed') {
+      return await releaseForRequest(payment.serviceRequestId) || payment;
+    }
+    if (!request || !ServiceRequest.PAYABLE_STATUSES.includes(request.status)) {
+      return await refundPayment(payment, { reason: 'Demande close avant la confirmation du paiement' }) || payment;
+    }
+  } catch (error) {
+    console.error('Erreur lors du traitement du séquestre:', error);
+  }
+
+  return payment;
+};
+
+// Fonction pour marquer un paiement comme échoué
+const markFailed = async (paymentId, reason = '') => {
+  const payment = await Payment.transition(paymentId, ['pending'], {
+    $set: { status: 'failed', failureReason: reason, nextAction: null }
+  });
+  if (payment) emitPaymentEvent(payment, 'failed');
+  return payment;
+};
+
+// Fonction pour enregistrer une tentative de paiement refusée (le paiement reste en attente d'une nouvelle tentative)
+const recordFailedAttempt = (paymentId, reason = '') => Payment.findOneAndUpdate(
+  { _id: paymentId, status: 'pending' },
+  { $set: { failureReason: reason || 'Tentative de paiement refusée' } },
+  { new: true }
+);
+
+// Fonction pour débloquer au prestataire les fonds d'une demande terminée
+const releaseForRequest = async (serviceRequestId) => {
+  const held = await Payment.findOne({ serviceRequestId, status: 'held' });
+  if (!held) return null;
+
+  const payment = await Payment.transition(held._id, ['held'], {
+    $set: { status: 'released', releasedAt: new Date() }
+  });
+  if (!payment) return null;
+
+  // Répartition entre les gains du prestataire et la commission de la plateforme
+  const release = await postRelease(payment);
+
+  await Transaction.record([
+    {
+      userId: payment.payeeId,
+      paymentId: payment._id,
+      serviceRequestId: payment.serviceRequestId,
+      type: 'release',
+      direction: 'credit',
+      amount: release.gross,
+      currency: payment.currency,
+      description: `Paiement reçu pour "${payment.serviceTitle}"`,
+      reference: `${payment._id}:release`
+    },
+    {
+      userId: payment.payeeId,
+      paymentId: payment._id,
+      serviceRequestId: payment.serviceRequestId,
+      type: 'commission',
+      direction: 'debit',
+      amount: release.commission,
+      currency: payment.currency,
+      description: `Commission de la plateforme pour "${payment.serviceTitle}"`,
+      reference: `${payment._id}:commission`
+    }
+  ].filter(entry => entry.amount > 0));
+
+  emitPaymentEvent(payment, 'released');
+  return payment;
+};
+
+// Fonction pour confirmer un remboursement (réponse du fournisseur ou webhook)
+const confirmRefund = async (paymentId, refundId) => {
+  const current = await Payment.findById(paymentId);
+  const refund = current && current.refunds.id(refundId);
+  if (!refund || refund.status !== 'pending') return null;
+
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+    {
+      $set: { 'refunds.$.status': 'succeeded' },
+      $inc: { refundedAmount: refund.amount, pendingRefundAmount: -refund.amount }
+    },
+    { new: true }
+  );
+  if (!payment) return null;
+
+  // Écriture comptable (reprise sur les gains nets et la commission si les fonds étaient débloqués)
+  const ledgerEntry = await postRefund(payment, refund);
+
+  const entries = [{
+    userId: payment.payerId,
+    paymentId: payment._id,
+    serviceRequestId: payment.serviceRequestId,
+    type: 'refund',
+    direction: 'credit',
+    amount: refund.amount,
+    currency: payment.currency,
+    description: `Remboursement pour "${payment.serviceTitle}"`,
+    reference: `${payment._id}:refund:${refundId}:payer`
+  }];
+
+  // Fonds déjà débloqués : la part nette du remboursement est reprise chez le prestataire
+  if (payment.status === 'released' && ledgerEntry.net > 0) {
+    entries.push({
+      userId: payment.payeeId,
+      paymentId: payment._id,
+      serviceRequestId: payment.serviceRequestId,
+      type: 'refund',
+      direction: 'debit',
+      amount: ledgerEntry.net,
+      currency: payment.currency,
+      description: `Remboursement au client pour "${payment.serviceTitle}"`,
+      reference: `${payment._id}:refund:${refundId}:payee`
+    });
+  }
+
+  await Transaction.record(entries);
+
+  if (roundAmount(payment.amount - payment.refundedAmount) <= 0) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { status: 'refunded' } });
+    payment.status = 'refunded';
+  }
+
+  emitPaymentEvent(payment, 'refunded');
+  return payment;
+};
+
+// Fonction pour marquer un remboursement comme échoué (le montant redevient remboursable)
+const failRefund = async (paymentId, refundId) => {
+  const current = await Payment.findById(paymentId);
+  const refund = current && current.refunds.id(refundId);
+  if (!refund || refund.status !== 'pending') return null;
+
+  return Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+    {
+      $set: { 'refunds.$.status': 'failed' },
+      $inc: { pendingRefundAmount: -refund.amount }
+    },
+    { new: true }
+  );
+};
+
+// Fonction pour rembourser tout ou partie d'un paiement
+// (le montant est réservé de manière atomique avant l'appel au fournisseur)
+const refundPayment = async (payment, { amount = null, reason = '', requestedBy = null } = {}) => {
+  const refundAmount = roundAmount(amount || payment.getRefundableAmount());
+  if (refundAmount <= 0) return null;
+
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: Payment.REFUNDABLE_STATUSES },
+      $expr: {
+        $lte: [
+          { $add: ['$refundedAmount', '$pendingRefundAmount', refundAmount] },
+          { $add: ['$amount', 0.001] }
+        ]
+      }
+    },
+    {
+      $push: { refunds: { amount: refundAmount, reason, requestedBy } },
+      $inc: { pendingRefundAmount: refundAmount }
+    },
+    { new: true }
+  );
+  if (!reserved) return null;
+
+  const refund = reserved.refunds[reserved.refunds.length - 1];
+
+  try {
+    const result = await getPaymentProvider(reserved.provider).refund({
+      providerRef: reserved.providerRef,
+      amount: refundAmount,
+      currency: reserved.currency,
+      reference: `${reserved._id}-${refund._id}`
+    });
+
+    await Payment.updateOne(
+      { _id: reserved._id, 'refunds._id': refund._id },
+      { $set: { 'refunds.$.refundRef': result.refundRef } }
+    );
+
+    if (result.status === 'succeeded') {
+      return confirmRefund(reserved._id, refund._id);
+    }
+    if (result.status === 'failed') {
+      await failRefund(reserved._id, refund._id);
+      throw new Error('Remboursement refusé par le fournisseur de paiement');
+    }
+
+    return Payment.findById(reserved._id);
+  } catch (error) {
+    await failRefund(reserved._id, refund._id);
+    throw error;
+  }
+};
+
+// Fonction pour appliquer un événement (webhook) d'un fournisseur de paiement
+const handleProviderEvent = async (providerName, event) => {
+  if (!event.type || !event.providerRef) return null;
+
+  const payment = await Payment.findOne({ provider: providerName, providerRef: event.providerRef });
+  if (!payment) return null;
+
+  switch (event.type) {
+    case 'payment.succeeded':
+      return markHeld(payment._id);
+    case 'payment.failed':
+      return markFailed(payment._id, 'Paiement refusé par le fournisseur');
+    case 'payment.attempt_failed':
+      return recordFailedAttempt(payment._id, event.reason);
+    case 'refund.succeeded':
+    case 'refund.failed': {
+      const refund = payment.refunds.find(entry => entry.refundRef === event.refundRef);
+      if (!refund) return null;
+      return event.type === 'refund.succeeded'
+        ? confirmRefund(payment._id, refund._id)
+        : failRefund(payment._id, refund._id);
+    }
+    default:
+      return null;
+  }
+};
+
+// Demande terminée : débloquer les fonds ; demande annulée : rembourser le client
+appEvents.on('service-request:updated', async ({ request }) => {
+  try {
+    if (request.status === 'completed') {
+      await releaseForRequest(request._id);
+    } else if (request.status === 'cancelled') {
+      const payment = await Payment.findOne({ serviceRequestId: request._id, status: 'held' });
+      if (payment) {
+        await refundPayment(payment, { reason: 'Demande annulée' });
+      }
+    }
+  } catch (error) {
+    console.error('Erreur lors du traitement du séquestre:', error);
+  }
+});
+
+module.exports = {
+  markHeld,
+  markFailed,
+  releaseForRequest,
+  refundPayment,
+  confirmRefund,
+  handleProviderEvent
+};
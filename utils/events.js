@@ -0,0 +1,11 @@
+const { EventEmitter } = require('events');
+
+// Bus d'événements interne de l'application.
+// Les modèles et les routes y publient les faits métier (nouveau message,
+// messages lus...) et les canaux temps réel s'y abonnent.
+const appEvents = new EventEmitter();
+
+// Plusieurs abonnés (socket, notifications...) écoutent les mêmes événements
+appEvents.setMaxListeners(50);
+
+module.exports = appEvents;
@@ -0,0 +1,44 @@
+const { fromPoint, distanceKm } = require('./geo');
+
+// Champs du prestataire à populer (userId) pour formatter un service
+const PROVIDER_SUMMARY_FIELDS = 'firstName lastName type rating ratingCount avatar verification';
+
+// Fonction pour formatter un service dans les listes (fil, favoris, recherches enregistrées).
+// Le service doit être populé avec userId (PROVIDER_SUMMARY_FIELDS).
+// Options : origin (point GeoJSON) pour ajouter la distance, isFavorite pour l'utilisateur connecté.
+const formatServiceSummary = (service, { origin = null, isFavorite } = {}) => ({
+  id: service._id,
+  title: service.title,
+  content: service.content,
+  category: service.category,
+  price: service.price,
+  priceType: service.priceType,
+  duration: service.duration,
+  location: service.location,
+  coordinates: fromPoint(service.geoLocation),
+  ...(origin && { distance: distanceKm(origin, service.geoLocation) }),
+  userName: service.userName,
+  userType: service.userType,
+  userId: service.userId._id,
+  userDetails: {
+    fullName: `${service.userId.firstName} ${service.userId.lastName}`,
+    rating: service.userId.rating,
+    ratingCount: service.userId.ratingCount,
+    avatar: service.userId.avatar,
+    badges: service.userId.getBadges()
+  },
+  images: service.images,
+  tags: service.tags,
+  views: service.views,
+  requests: service.requests,
+  rating: service.rating,
+  ratingCount: service.ratingCount,
+  ...(isFavorite !== undefined && { isFavorite }),
+  createdAt: service.createdAt,
+  updatedAt: service.updatedAt
+});
+
+module.exports = {
+  PROVIDER_SUMMARY_FIELDS,
+  formatServiceSummary
+};
@@ -0,0 +1,64 @@
+const { geocode } = require('./geocoding');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Définition d'un point GeoJSON pour les schémas Mongoose (index 2dsphere)
+const pointSchemaDefinition = {
+  type: {
+    type: String,
+    enum: ['Point']
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+};
+
+// Fonction pour créer un point GeoJSON (attention : longitude en premier)
+const toPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [lng, lat]
+});
+
+// Fonction pour convertir un point GeoJSON en { lat, lng }
+const fromPoint = (point) => {
+  if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) {
+    return null;
+  }
+  return { lat: point.coordinates[1], lng: point.coordinates[0] };
+};
+
+// Fonction pour calculer la distance (en km) entre deux points (formule de haversine)
+const distanceKm = (from, to) => {
+  const a = fromPoint(from);
+  const b = fromPoint(to);
+  if (!a || !b) return null;
+
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h)) * 10) / 10;
+};
+
+// Fonction pour déterminer les coordonnées d'un contenu :
+// coordonnées explicites, sinon géocodage de l'adresse, sinon null
+const resolvePoint = async ({ lat, lng, address }) => {
+  if (lat !== undefined && lat !== null && lng !== undefined && lng !== null) {
+    return toPoint(parseFloat(lat), parseFloat(lng));
+  }
+
+  const result = await geocode(address);
+  return result ? toPoint(result.lat, result.lng) : null;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  pointSchemaDefinition,
+  toPoint,
+  fromPoint,
+  distanceKm,
+  resolvePoint
+};
@@ -0,0 +1,47 @@
+const createNoopGeocoder = require('./none');
+const createNominatimGeocoder = require('./nominatim');
+
+// Géocodeurs disponibles, sélectionnés via GEOCODER_DRIVER (aucun par défaut).
+// Un fournisseur doit exposer geocode(address) -> { lat, lng } | null.
+const drivers = {
+  none: createNoopGeocoder,
+  nominatim: createNominatimGeocoder
+};
+
+let geocoder = null;
+
+// Fonction pour obtenir le géocodeur configuré
+const getGeocoder = () => {
+  if (!geocoder) {
+    const driver = process.env.GEOCODER_DRIVER || 'none';
+    if (!drivers[driver]) {
+      throw new Error(`Géocodeur inconnu: ${driver}`);
+    }
+    geocoder = drivers[driver]();
+  }
+  return geocoder;
+};
+
+// Fonction pour remplacer le géocodeur (autre fournisseur, tests...)
+const setGeocoder = (customGeocoder) => {
+  geocoder = customGeocoder;
+};
+
+// Fonction pour géocoder une adresse sans interrompre le flux appelant
+const geocode = async (address) => {
+  if (!address) return null;
+
+  try {
+    return await getGeocoder().geocode(address);
+  } catch (error) {
+    console.error('Erreur lors du géocodage:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  getGeocoder,
+  setGeocoder,
+  geocode,
+  drivers
+};
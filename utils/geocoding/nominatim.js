@@ -0,0 +1,37 @@
+// Géocodeur basé sur l'API Nominatim (OpenStreetMap ou instance auto-hébergée)
+const createNominatimGeocoder = ({
+  baseUrl = process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org',
+  userAgent = process.env.GEOCODER_USER_AGENT || 'ServiceConnect/1.0',
+  countryCodes = process.env.GEOCODER_COUNTRY_CODES || ''
+} = {}) => ({
+  name: 'nominatim',
+
+  async geocode(address) {
+    const url = new URL('/search', baseUrl);
+    url.searchParams.set('q', address);
+    url.searchParams.set('format', 'json');
+    url.searchParams.set('limit', '1');
+    if (countryCodes) url.searchParams.set('countrycodes', countryCodes);
+
+    const response = await fetch(url, {
+      headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+      signal: AbortSignal.timeout(5000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Géocodage impossible (HTTP ${response.status})`);
+    }
+
+    const results = await response.json();
+    if (!Array.isArray(results) || results.length === 0) {
+      return null;
+    }
+
+    return {
+      lat: parseFloat(results[0].lat),
+      lng: parseFloat(results[0].lon)
+    };
+  }
+});
+
+module.exports = createNominatimGeocoder;
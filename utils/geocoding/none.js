@@ -0,0 +1,10 @@
+// Géocodeur par défaut : aucune résolution d'adresse (coordonnées fournies par le client)
+const createNoopGeocoder = () => ({
+  name: 'none',
+
+  async geocode() {
+    return null;
+  }
+});
+
+module.exports = createNoopGeocoder;
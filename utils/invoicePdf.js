@@ -0,0 +1,139 @@
+const PDFDocument = require('pdfkit');
+
+const PLATFORM_NAME = process.env.PLATFORM_NAME || 'Plateforme de services';
+
+// Fonction pour formatter un montant au format français (espaces insécables remplacés pour les polices standard)
+const formatAmount = (amount, currency = 'EUR') => new Intl.NumberFormat('fr-FR', {
+  style: 'currency',
+  currency
+}).format(amount).replace(/[\u00A0\u202F]/g, ' ');
+
+// Fonction pour formatter une date au format français
+const formatDate = (date) => new Intl.DateTimeFormat('fr-FR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  timeZone: process.env.DEFAULT_TIMEZONE || 'Europe/Paris'
+}).format(date);
+
+// Fonction pour formatter une quantité (sans décimales inutiles)
+const formatQuantity = (quantity) => String(quantity).replace('.', ',');
+
+// Colonnes du tableau des lignes (position x et largeur)
+const COLUMNS = {
+  description: { x: 50, width: 240 },
+  quantity: { x: 295, width: 70 },
+  unitPrice: { x: 370, width: 85 },
+  total: { x: 460, width: 85 }
+};
+
+// Fonction pour dessiner une ligne du tableau
+const drawRow = (doc, y, cells, options = {}) => {
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  doc.text(cells.description, COLUMNS.description.x, y, { width: COLUMNS.description.width });
+  const height = doc.y - y;
+  doc.text(cells.quantity, COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+  doc.text(cells.unitPrice, COLUMNS.unitPrice.x, y, { width: COLUMNS.unitPrice.width, align: 'right' });
+  doc.text(cells.total, COLUMNS.total.x, y, { width: COLUMNS.total.width, align: 'right' });
+  return y + Math.max(height, 12) + 6;
+};
+
+// Fonction pour générer le document PDF d'une facture (renvoie un Buffer)
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Facture ${invoice.number}`,
+      Author: invoice.provider.name,
+      Producer: PLATFORM_NAME
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const currency = invoice.currency;
+
+  // En-tête : prestataire (émetteur) et numéro de facture
+  doc.font('Helvetica-Bold').fontSize(18).text('FACTURE', 50, 50);
+  doc.font('Helvetica').fontSize(10)
+    .text(`N° ${invoice.number}`, 50, 75)
+    .text(`Date d'émission : ${formatDate(invoice.issuedAt)}`);
+  if (invoice.serviceDate) {
+    doc.text(`Date de la prestation : ${formatDate(invoice.serviceDate)}`);
+  }
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Prestataire', 50, 140);
+  doc.font('Helvetica').fontSize(10).text(invoice.provider.name);
+  if (invoice.provider.location) doc.text(invoice.provider.location);
+  if (invoice.provider.phone) doc.text(`Tél. : ${invoice.provider.phone}`);
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Client', 320, 140);
+  doc.font('Helvetica').fontSize(10).text(invoice.client.name, 320);
+  if (invoice.client.address) doc.text(invoice.client.address, 320, doc.y, { width: 225 });
+
+  // Tableau des lignes
+  let y = 240;
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(`Prestation : ${invoice.service.title}`, 50, y - 25, { width: 495 });
+  y = drawRow(doc, y, {
+    description: 'Désignation',
+    quantity: 'Quantité',
+    unitPrice: 'Prix unitaire TTC',
+    total: 'Total TTC'
+  }, { bold: true });
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+
+  invoice.lines.forEach(entry => {
+    if (y > 700) {
+      doc.addPage();
+      y = 50;
+    }
+    y = drawRow(doc, y, {
+      description: entry.description,
+      quantity: `${formatQuantity(entry.quantity)} ${entry.unit}`,
+      unitPrice: formatAmount(entry.unitPrice, currency),
+      total: formatAmount(entry.total, currency)
+    });
+  });
+
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+
+  // Totaux
+  const totals = [
+    ['Total HT', formatAmount(invoice.subtotal, currency)],
+    [invoice.taxRate > 0 ? `TVA (${formatQuantity(Math.round(invoice.taxRate * 10000) / 100)} %)` : 'TVA', formatAmount(invoice.taxAmount, currency)],
+    ['Total TTC', formatAmount(invoice.total, currency)]
+  ];
+
+  y += 5;
+  totals.forEach(([label, value], index) => {
+    const bold = index === totals.length - 1;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, 330, y, { width: 120, align: 'right' });
+    doc.text(value, 460, y, { width: 85, align: 'right' });
+    y += 16;
+  });
+
+  // Mentions
+  doc.font('Helvetica').fontSize(9);
+  y += 15;
+  if (invoice.taxRate === 0) {
+    doc.text('TVA non applicable, art. 293 B du CGI', 50, y);
+    y = doc.y + 4;
+  }
+  if (invoice.paidAt) {
+    doc.font('Helvetica-Bold').text(`Facture acquittée le ${formatDate(invoice.paidAt)}`, 50, y);
+    doc.font('Helvetica').text(`Paiement reçu via ${PLATFORM_NAME}.`);
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  renderInvoicePdf,
+  formatAmount
+};
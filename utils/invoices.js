@@ -0,0 +1,185 @@
+const Invoice = require('../models/Invoice');
+const Quote = require('../models/Quote');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { renderInvoicePdf } = require('./invoicePdf');
+const appEvents = require('./events');
+
+// Taux de TVA appliqué aux prix (TTC) des prestations ; 0 par défaut (particuliers et micro-entrepreneurs
+// en franchise de TVA), à n'activer que si tous les prestataires facturent la TVA
+const INVOICE_TAX_RATE = parseFloat(process.env.INVOICE_TAX_RATE || '0');
+
+// Fonction pour arrondir un montant au centime
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Fonction pour construire les lignes de la facture : devis accepté, sinon prix convenu ou prix du service
+const buildLines = async (request, service, payment) => {
+  if (request.quoteId) {
+    const quote = await Quote.findOne({ _id: request.quoteId, status: 'accepted' });
+    if (quote) {
+      return quote.items.map(item => ({
+        description: item.description,
+        quantity: item.quantity,
+        unit: 'unité',
+        unitPrice: item.unitPrice,
+        total: item.total
+      }));
+    }
+  }
+
+  const priceType = service ? service.priceType : '';
+  const price = request.agreedPrice
+    || (service && service.priceType !== 'negociable' ? service.price : null)
+    || (payment ? payment.amount : null);
+  if (!price) return null;
+
+  return [{
+    description: request.serviceTitle,
+    quantity: 1,
+    unit: request.agreedPrice ? 'forfait' : (Invoice.PRICE_TYPE_UNITS[priceType] || 'forfait'),
+    unitPrice: price,
+    total: roundAmount(price)
+  }];
+};
+
+// Délai après lequel une numérotation interrompue (arrêt du serveur) peut être reprise
+const NUMBERING_TIMEOUT = 5 * 60 * 1000;
+
+// Fonction pour numéroter une facture enregistrée, puis générer et stocker son PDF
+// (un PDF manquant est régénéré au téléchargement). La facture est d'abord réservée :
+// un seul appelant consomme un numéro, les appels simultanés ne créent pas de trou.
+const finalizeInvoice = async (invoice) => {
+  const claimed = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      number: { $exists: false },
+      $or: [{ numberingAt: null }, { numberingAt: { $lt: new Date(Date.now() - NUMBERING_TIMEOUT) } }]
+    },
+    { $set: { numberingAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return Invoice.findById(invoice._id);
+
+  const number = await Invoice.nextNumber(claimed.issuedAt);
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: claimed._id, number: { $exists: false }, numberingAt: claimed.numberingAt },
+    { $set: { number, numberingAt: null } },
+    { new: true }
+  );
+  if (!numbered) return Invoice.findById(invoice._id);
+
+  try {
+    const pdf = await renderInvoicePdf(numbered);
+    await Invoice.updateOne({ _id: numbered._id }, { $set: { pdf } });
+  } catch (error) {
+    console.error('Erreur lors de la génération du PDF de la facture:', error);
+  }
+
+  return numbered;
+};
+
+// Fonction pour générer (une seule fois) la facture d'une demande terminée
+// (renvoie { error, status } si la facture ne peut pas être émise)
+const generateForRequest = async (request) => {
+  const existing = await Invoice.findOne({ serviceRequestId: request._id });
+  if (existing) {
+    // Facture enregistrée mais pas encore numérotée (interruption lors d'une génération précédente)
+    return { invoice: existing.number ? existing : await finalizeInvoice(existing) };
+  }
+
+  if (request.status !== 'completed') {
+    return { status: 409, error: 'Seules les demandes terminées peuvent être facturées' };
+  }
+
+  const [service, provider, client, payment] = await Promise.all([
+    Service.findById(request.serviceId).select('title category price priceType'),
+    User.findById(request.providerId).select('firstName lastName phone location'),
+    User.findById(request.clientId).select('firstName lastName location'),
+    Payment.findOne({ serviceRequestId: request._id, status: { $in: ['held', 'released'] } })
+  ]);
+
+  const lines = await buildLines(request, service, payment);
+  if (!lines) {
+    return { status: 409, error: 'Aucun prix convenu pour cette demande' };
+  }
+
+  const total = roundAmount(lines.reduce((sum, entry) => sum + entry.total, 0));
+  const subtotal = roundAmount(total / (1 + INVOICE_TAX_RATE));
+  const issuedAt = new Date();
+
+  const invoice = new Invoice({
+    serviceRequestId: request._id,
+    paymentId: payment ? payment._id : null,
+    provider: {
+      id: request.providerId,
+      name: provider ? `${provider.firstName} ${provider.lastName}` : request.providerName,
+      phone: provider ? provider.phone : '',
+      location: provider ? provider.location : ''
+    },
+    client: {
+      id: request.clientId,
+      name: client ? `${client.firstName} ${client.lastName}` : request.clientName,
+      address: request.address || (client ? client.location : '')
+    },
+    service: {
+      id: request.serviceId,
+      title: service ? service.title : request.serviceTitle,
+      category: service ? service.category : '',
+      priceType: service ? service.priceType : ''
+    },
+    lines,
+    subtotal,
+    taxRate: INVOICE_TAX_RATE,
+    taxAmount: roundAmount(total - subtotal),
+    total,
+    currency: payment ? payment.currency : 'EUR',
+    serviceDate: request.scheduledDate || request.completedAt,
+    issuedAt,
+    paidAt: payment ? payment.heldAt : null
+  });
+
+  // Enregistrement avant l'attribution du numéro : un échec ou une génération simultanée
+  // (index unique sur la demande) ne consomme aucun numéro
+  try {
+    await invoice.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      const concurrent = await Invoice.findOne({ serviceRequestId: request._id });
+      if (concurrent) return { invoice: concurrent };
+    }
+    throw error;
+  }
+
+  return { invoice: await finalizeInvoice(invoice) };
+};
+
+// Fonction pour obtenir le PDF d'une facture (régénéré s'il est absent)
+const getInvoicePdf = async (invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId).select('+pdf');
+  if (!invoice || !invoice.number) return null;
+
+  if (!invoice.pdf || invoice.pdf.length === 0) {
+    invoice.pdf = await renderInvoicePdf(invoice);
+    await Invoice.updateOne({ _id: invoice._id }, { $set: { pdf: invoice.pdf } });
+  }
+
+  return invoice;
+};
+
+// Demande terminée : émettre la facture
+appEvents.on('service-request:updated', async ({ request }) => {
+  if (request.status !== 'completed') return;
+
+  try {
+    await generateForRequest(request);
+  } catch (error) {
+    console.error('Erreur lors de la génération de la facture:', error);
+  }
+});
+
+module.exports = {
+  INVOICE_TAX_RATE,
+  generateForRequest,
+  getInvoicePdf
+};
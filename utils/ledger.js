@@ -0,0 +1,351 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+
+const { roundAmount } = LedgerEntry;
+
+// Commission de la plateforme (part du montant de la prestation)
+const COMMISSION_RATE = parseFloat(process.env.PLATFORM_COMMISSION_RATE || '0.1');
+// Délai avant que les gains d'une prestation deviennent disponibles (litiges, remboursements)
+const EARNINGS_HOLD_DAYS = parseInt(process.env.EARNINGS_HOLD_DAYS || '7', 10);
+// Montant minimum d'une demande de versement
+const PAYOUT_MIN_AMOUNT = parseFloat(process.env.PAYOUT_MIN_AMOUNT || '10');
+
+// Fonction pour construire une ligne d'écriture (les lignes à zéro sont ignorées)
+const line = (account, side, amount, userId = null) => (amount > 0
+  ? { account, userId, debit: side === 'debit' ? amount : 0, credit: side === 'credit' ? amount : 0 }
+  : null);
+
+// Fonction pour enregistrer une écriture à partir de ses lignes non nulles
+const post = (entry) => LedgerEntry.post({
+  ...entry,
+  lines: entry.lines.filter(Boolean)
+});
+
+// Paiement confirmé : les fonds encaissés sont placés sous séquestre
+const postPaymentHeld = (payment) => post({
+  type: 'payment',
+  reference: `${payment._id}:payment`,
+  paymentId: payment._id,
+  serviceRequestId: payment.serviceRequestId,
+  description: `Paiement "${payment.serviceTitle}"`,
+  lines: [
+    line('cash', 'debit', payment.amount),
+    line('escrow', 'credit', payment.amount)
+  ]
+});
+
+// Prestation terminée : le séquestre est réparti entre le prestataire (en attente) et la commission
+const postRelease = (payment) => {
+  const gross = roundAmount(payment.amount - payment.refundedAmount);
+  const commission = roundAmount(gross * COMMISSION_RATE);
+  const net = roundAmount(gross - commission);
+
+  return post({
+    type: 'release',
+    reference: `${payment._id}:release`,
+    providerId: payment.payeeId,
+    paymentId: payment._id,
+    serviceRequestId: payment.serviceRequestId,
+    description: `Prestation "${payment.serviceTitle}"`,
+    gross,
+    commission,
+    net,
+    availableAt: new Date(Date.now() + EARNINGS_HOLD_DAYS * 24 * 60 * 60 * 1000),
+    lines: [
+      line('escrow', 'debit', gross),
+      line('provider_pending', 'credit', net, payment.payeeId),
+      line('platform_commission', 'credit', commission)
+    ]
+  });
+};
+
+// Remboursement confirmé : repris sur le séquestre, ou sur les gains et la commission si les fonds étaient débloqués
+const postRefund = async (payment, refund) => {
+  const reference = `${payment._id}:refund:${refund._id}`;
+  const release = payment.status === 'released'
+    ? await LedgerEntry.findOne({ reference: `${payment._id}:release` })
+    : null;
+
+  if (!release) {
+    return post({
+      type: 'refund',
+      reference,
+      paymentId: payment._id,
+      serviceRequestId: payment.serviceRequestId,
+      description: `Remboursement "${payment.serviceTitle}"`,
+      lines: [
+        line('escrow', 'debit', refund.amount),
+        line('cash', 'credit', refund.amount)
+      ]
+    });
+  }
+
+  const commission = release.gross > 0 ? roundAmount(refund.amount * release.commission / release.gross) : 0;
+  const net = roundAmount(refund.amount - commission);
+
+  // Gains pas encore transférés : la reprise est déduite du futur transfert (mise à jour atomique,
+  // exclusive avec la réservation faite par settleMatured) ; sinon elle porte sur le solde disponible
+  const pending = await LedgerEntry.findOneAndUpdate(
+    { _id: release._id, settledAt: null },
+    { $inc: { refundedNet: net } }
+  );
+
+  return post({
+    type: 'refund',
+    reference,
+    providerId: payment.payeeId,
+    paymentId: payment._id,
+    serviceRequestId: payment.serviceRequestId,
+    description: `Remboursement "${payment.serviceTitle}"`,
+    gross: refund.amount,
+    commission,
+    net,
+    lines: [
+      line(pending ? 'provider_pending' : 'provider_available', 'debit', net, payment.payeeId),
+      line('platform_commission', 'debit', commission),
+      line('cash', 'credit', refund.amount)
+    ]
+  });
+};
+
+// Fonction pour rendre disponibles les gains dont le délai de sécurité est écoulé
+const settleMatured = async (providerId) => {
+  const matured = await LedgerEntry.find({
+    providerId,
+    type: 'release',
+    settledAt: null,
+    availableAt: { $lte: new Date() }
+  });
+
+  for (const candidate of matured) {
+    // Réserver la prestation avant de calculer le montant : les remboursements ultérieurs
+    // porteront sur le solde disponible (voir postRefund)
+    const release = await LedgerEntry.findOneAndUpdate(
+      { _id: candidate._id, settledAt: null },
+      { $set: { settledAt: new Date() } },
+      { new: true }
+    );
+    if (!release) continue;
+
+    const amount = roundAmount(release.net - release.refundedNet);
+    if (amount <= 0) continue;
+
+    try {
+      await post({
+        type: 'settlement',
+        reference: `${release._id}:settlement`,
+        providerId,
+        paymentId: release.paymentId,
+        serviceRequestId: release.serviceRequestId,
+        description: release.description,
+        lines: [
+          line('provider_pending', 'debit', amount, providerId),
+          line('provider_available', 'credit', amount, providerId)
+        ]
+      });
+    } catch (error) {
+      // Écriture impossible : la prestation sera transférée lors du prochain calcul
+      await LedgerEntry.updateOne({ _id: release._id }, { $set: { settledAt: null } });
+      throw error;
+    }
+  }
+};
+
+// Fonction pour obtenir les soldes d'un prestataire (après transfert des gains arrivés à échéance)
+const getBalances = async (providerId) => {
+  await settleMatured(providerId);
+  const balances = await LedgerEntry.getBalances(providerId);
+
+  const [paid] = await Payout.aggregate([
+    { $match: { providerId, status: 'paid' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  return {
+    pending: balances.provider_pending,
+    available: balances.provider_available,
+    inPayout: balances.provider_payout,
+    paidOut: roundAmount(paid ? paid.total : 0)
+  };
+};
+
+// Fonction pour demander un versement des gains disponibles
+// (renvoie { error, status } si la demande est impossible)
+const requestPayout = async (provider, { amount, method, accountReference, accountHolder = '' }) => {
+  if (amount < PAYOUT_MIN_AMOUNT) {
+    return { status: 400, error: `Le montant minimum d'un versement est de ${PAYOUT_MIN_AMOUNT} €` };
+  }
+
+  const balances = await getBalances(provider._id);
+  if (amount > balances.available) {
+    return { status: 409, error: 'Solde disponible insuffisant', balances };
+  }
+
+  const payout = await Payout.create({
+    providerId: provider._id,
+    amount: roundAmount(amount),
+    method,
+    accountReference,
+    accountHolder: accountHolder || `${provider.firstName} ${provider.lastName}`
+  });
+
+  await post({
+    type: 'payout_request',
+    reference: `${payout._id}:request`,
+    providerId: provider._id,
+    payoutId: payout._id,
+    description: 'Demande de versement',
+    lines: [
+      line('provider_available', 'debit', payout.amount, provider._id),
+      line('provider_payout', 'credit', payout.amount, provider._id)
+    ]
+  });
+
+  // Deux demandes simultanées : annuler celle qui rend le solde négatif
+  const after = await LedgerEntry.getBalances(provider._id);
+  if (after.provider_available < 0) {
+    await cancelPayout(payout, provider._id, 'Solde disponible insuffisant', 'cancelled');
+    return { status: 409, error: 'Solde disponible insuffisant' };
+  }
+
+  return { payout };
+};
+
+// Fonction pour annuler ou rejeter un versement en cours (le montant est recrédité)
+const cancelPayout = async (payout, changedBy, note = '', status = 'cancelled') => {
+  const fromStatuses = status === 'cancelled' ? ['requested'] : Payout.OPEN_STATUSES;
+  const updated = await Payout.transition(payout._id, fromStatuses, status, changedBy, note);
+  if (!updated) return null;
+
+  await post({
+    type: 'payout_reversal',
+    reference: `${payout._id}:reversal`,
+    providerId: payout.providerId,
+    payoutId: payout._id,
+    description: status === 'rejected' ? 'Versement rejeté' : 'Versement annulé',
+    lines: [
+      line('provider_payout', 'debit', payout.amount, payout.providerId),
+      line('provider_available', 'credit', payout.amount, payout.providerId)
+    ]
+  });
+
+  return updated;
+};
+
+// Fonction pour confirmer qu'un versement a été effectué
+const completePayout = async (payout, changedBy, transferReference = '') => {
+  const updated = await Payout.transition(payout._id, Payout.OPEN_STATUSES, 'paid', changedBy, '', {
+    paidAt: new Date(),
+    transferReference
+  });
+  if (!updated) return null;
+
+  await post({
+    type: 'payout_paid',
+    reference: `${payout._id}:paid`,
+    providerId: payout.providerId,
+    payoutId: payout._id,
+    description: 'Versement effectué',
+    lines: [
+      line('provider_payout', 'debit', payout.amount, payout.providerId),
+      line('cash', 'credit', payout.amount)
+    ]
+  });
+
+  await Transaction.record([{
+    userId: payout.providerId,
+    payoutId: payout._id,
+    type: 'payout',
+    direction: 'debit',
+    amount: payout.amount,
+    currency: payout.currency,
+    description: 'Versement sur votre compte',
+    reference: `${payout._id}:payout`
+  }]);
+
+  return updated;
+};
+
+// Fonction pour obtenir le détail des gains d'un prestataire sur une période
+const getEarnings = async (providerId, { from, to }) => {
+  const entries = await LedgerEntry.find({
+    providerId,
+    type: { $in: ['release', 'refund'] },
+    createdAt: { $gte: from, $lte: to }
+  }).sort({ createdAt: -1 });
+
+  const rows = entries.map(entry => {
+    const sign = entry.type === 'refund' ? -1 : 1;
+    return {
+      date: entry.createdAt,
+      type: entry.type === 'refund' ? 'refund' : 'earning',
+      description: entry.description,
+      serviceRequestId: entry.serviceRequestId,
+      paymentId: entry.paymentId,
+      gross: sign * entry.gross,
+      commission: sign * entry.commission,
+      net: sign * entry.net,
+      status: entry.type === 'refund' ? 'refunded' : (entry.settledAt ? 'available' : 'pending'),
+      availableAt: entry.availableAt
+    };
+  });
+
+  const summary = rows.reduce((totals, row) => {
+    totals.gross = roundAmount(totals.gross + row.gross);
+    totals.commission = roundAmount(totals.commission + row.commission);
+    totals.net = roundAmount(totals.net + row.net);
+    if (row.type === 'earning') totals.jobs += 1;
+    if (row.type === 'refund') totals.refunds = roundAmount(totals.refunds - row.gross);
+    return totals;
+  }, { jobs: 0, gross: 0, commission: 0, net: 0, refunds: 0 });
+
+  return { rows, summary };
+};
+
+// Fonction pour échapper une valeur CSV (séparateur ";" pour les tableurs français)
+const csvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Fonction pour formatter un montant au format français (virgule décimale)
+const csvAmount = (amount) => amount.toFixed(2).replace('.', ',');
+
+// Fonction pour exporter les gains au format CSV
+const earningsToCsv = (rows) => {
+  const header = ['Date', 'Type', 'Libellé', 'Demande', 'Montant brut', 'Commission', 'Montant net', 'Statut', 'Disponible le'];
+  const TYPE_LABELS = { earning: 'Prestation', refund: 'Remboursement' };
+  const STATUS_LABELS = { pending: 'En attente', available: 'Disponible', refunded: 'Remboursé' };
+
+  const lines = rows.map(row => [
+    row.date.toISOString(),
+    TYPE_LABELS[row.type],
+    row.description,
+    row.serviceRequestId,
+    csvAmount(row.gross),
+    csvAmount(row.commission),
+    csvAmount(row.net),
+    STATUS_LABELS[row.status],
+    row.availableAt ? row.availableAt.toISOString().substring(0, 10) : ''
+  ].map(csvValue).join(';'));
+
+  // BOM UTF-8 pour l'ouverture directe dans un tableur
+  return `\uFEFF${[header.join(';'), ...lines].join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  COMMISSION_RATE,
+  EARNINGS_HOLD_DAYS,
+  PAYOUT_MIN_AMOUNT,
+  postPaymentHeld,
+  postRelease,
+  postRefund,
+  settleMatured,
+  getBalances,
+  requestPayout,
+  cancelPayout,
+  completePayout,
+  getEarnings,
+  earningsToCsv
+};
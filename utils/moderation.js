@@ -0,0 +1,112 @@
+const Service = require('../models/Service');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Review = require('../models/Review');
+
+// Nombre de signalements indépendants à partir duquel un contenu est masqué automatiquement
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10) || 3;
+
+const MODELS = {
+  Service,
+  Message,
+  User,
+  Review
+};
+
+// Fonction pour charger le contenu visé par un signalement
+const loadTarget = (targetType, targetId) => MODELS[targetType].findById(targetId);
+
+// Fonction pour obtenir l'auteur d'un contenu
+const getTargetOwnerId = (targetType, target) => {
+  switch (targetType) {
+    case 'Service': return target.userId;
+    case 'Message': return target.senderId;
+    case 'Review': return target.reviewerId;
+    case 'User': return target._id;
+    default: return null;
+  }
+};
+
+// Fonction pour vérifier si un contenu est actuellement masqué par la modération
+const isHidden = (targetType, target) => {
+  switch (targetType) {
+    case 'Service': return target.hiddenByModeration;
+    case 'Message': return target.isHidden;
+    case 'Review': return !target.isVisible;
+    default: return false;
+  }
+};
+
+// Fonction pour enregistrer le masquage ou le rétablissement d'un contenu
+// Un avis change de visibilité de façon conditionnelle (une seule fois en cas de décisions simultanées)
+// et sa note est retirée ou réintégrée dans les moyennes. Retourne true si l'état a changé.
+const saveVisibility = async (targetType, target) => {
+  if (targetType !== 'Review') {
+    await target.save();
+    return true;
+  }
+
+  const result = await Review.updateOne(
+    { _id: target._id, isVisible: !target.isVisible },
+    { $set: { isVisible: target.isVisible, autoHidden: target.autoHidden } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await Review.applyRating(target.serviceId, target.providerId, target.rating, target.isVisible ? 1 : -1);
+  return true;
+};
+
+// Fonction pour masquer un contenu (les comptes ne sont pas masqués automatiquement)
+// auto : masquage automatique après N signalements, seul cas rétabli par un rejet des signalements
+// Retourne true si le contenu a changé d'état
+const hideTarget = async (targetType, target, { auto = false } = {}) => {
+  if (isHidden(targetType, target)) {
+    // Masquage automatique confirmé par un modérateur : il ne sera plus rétabli automatiquement
+    if (!auto && target.autoHidden) {
+      target.autoHidden = false;
+      await target.save();
+    }
+    return false;
+  }
+
+  if (targetType === 'Service' && target.isActive) {
+    target.isActive = false;
+    target.hiddenByModeration = true;
+  } else if (targetType === 'Message') {
+    target.isHidden = true;
+  } else if (targetType === 'Review') {
+    target.isVisible = false;
+  } else {
+    return false;
+  }
+
+  target.autoHidden = auto;
+  return saveVisibility(targetType, target);
+};
+
+// Fonction pour rétablir un contenu masqué automatiquement (un masquage décidé par un modérateur est conservé)
+const restoreTarget = async (targetType, target) => {
+  if (!target.autoHidden || !isHidden(targetType, target)) {
+    return false;
+  }
+
+  if (targetType === 'Service') {
+    target.isActive = true;
+    target.hiddenByModeration = false;
+  } else if (targetType === 'Message') {
+    target.isHidden = false;
+  } else if (targetType === 'Review') {
+    target.isVisible = true;
+  }
+
+  target.autoHidden = false;
+  return saveVisibility(targetType, target);
+};
+
+module.exports = {
+  AUTO_HIDE_THRESHOLD,
+  loadTarget,
+  getTargetOwnerId,
+  hideTarget,
+  restoreTarget
+};
@@ -0,0 +1,206 @@
+const Conversation = require('../models/Conversation');
+const Notification = require('../models/Notification');
+const SavedSearch = require('../models/SavedSearch');
+const appEvents = require('./events');
+
+// Libellés des changements de statut d'une demande
+const REQUEST_STATUS_LABELS = {
+  accepted: 'acceptée',
+  declined: 'refusée',
+  scheduled: 'planifiée',
+  in_progress: 'démarrée',
+  completed: 'terminée',
+  cancelled: 'annulée'
+};
+
+// Fonction pour créer une notification sans interrompre le flux appelant
+const safeNotify = (userId, type, payload) => {
+  Notification.notify(userId, type, payload).catch(error => {
+    console.error('Erreur lors de la création de la notification:', error);
+  });
+};
+
+// Nouveau message (hors messages système, déjà couverts par les autres événements)
+appEvents.on('message:created', async (message) => {
+  if (message.messageType === 'system') return;
+
+  try {
+    const conversation = await Conversation.findById(message.conversationId).select('participants mutedBy');
+    if (!conversation) return;
+
+    // Les devis et contre-propositions ont leur propre type de notification
+    const isQuote = message.messageType === 'quote';
+
+    conversation.participants.forEach(participant => {
+      if (participant.userId.toString() !== message.senderId.toString() &&
+          !conversation.isMutedBy(participant.userId)) {
+        safeNotify(participant.userId, isQuote ? 'quote' : 'message', {
+          title: isQuote ? `Nouveau devis de ${message.senderName}` : `Nouveau message de ${message.senderName}`,
+          body: message.content.substring(0, 100),
+          data: {
+            conversationId: message.conversationId,
+            messageId: message._id,
+            ...(isQuote && { quoteId: message.quoteId })
+          }
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la notification du message:', error);
+  }
+});
+
+// Nouvelle demande de service pour le prestataire
+appEvents.on('service-request:created', (request) => {
+  safeNotify(request.providerId, 'service_request', {
+    title: `Nouvelle demande pour "${request.serviceTitle}"`,
+    body: `${request.clientName} souhaite faire appel à vos services`,
+    data: {
+      requestId: request._id,
+      serviceId: request.serviceId,
+      conversationId: request.conversationId
+    }
+  });
+});
+
+// Changement de statut d'une demande : prévenir l'autre partie
+// (le client reçoit "Votre demande...", le prestataire la demande du client)
+appEvents.on('service-request:updated', ({ request, actorId }) => {
+  const recipientIsProvider = request.clientId.toString() === actorId.toString();
+  const label = REQUEST_STATUS_LABELS[request.status] || 'mise à jour';
+
+  safeNotify(recipientIsProvider ? request.providerId : request.clientId, 'request_update', {
+    title: `Demande ${label}`,
+    body: recipientIsProvider
+      ? `La demande de ${request.clientName} pour "${request.serviceTitle}" a été ${label}`
+      : `Votre demande pour "${request.serviceTitle}" a été ${label}`,
+    data: {
+      requestId: request._id,
+      serviceId: request.serviceId,
+      status: request.status
+    }
+  });
+});
+
+// Libellés des réponses à un devis
+const QUOTE_STATUS_LABELS = {
+  accepted: 'accepté',
+  rejected: 'refusé',
+  countered: 'contre-proposé'
+};
+
+// Réponse à un devis : prévenir son auteur
+appEvents.on('quote:updated', ({ quote, actorId }) => {
+  if (quote.authorId.toString() === actorId.toString()) return;
+
+  safeNotify(quote.authorId, 'quote', {
+    title: `Devis ${QUOTE_STATUS_LABELS[quote.status] || 'mis à jour'}`,
+    body: `Votre devis pour "${quote.serviceTitle}" a été ${QUOTE_STATUS_LABELS[quote.status] || 'mis à jour'}`,
+    data: {
+      quoteId: quote._id,
+      conversationId: quote.conversationId,
+      serviceRequestId: quote.serviceRequestId,
+      status: quote.status
+    }
+  });
+});
+
+// Étapes d'un paiement : destinataire et message de la notification
+const PAYMENT_NOTIFICATIONS = {
+  held: {
+    recipient: 'payeeId',
+    title: 'Paiement reçu',
+    body: (payment) => `${payment.amount} ${payment.currency} sont sous séquestre pour "${payment.serviceTitle}" jusqu'à la fin de la prestation`
+  },
+  released: {
+    recipient: 'payeeId',
+    title: 'Paiement débloqué',
+    body: (payment) => `Le paiement pour "${payment.serviceTitle}" vous a été versé`
+  },
+  refunded: {
+    recipient: 'payerId',
+    title: 'Remboursement effectué',
+    body: (payment) => `Vous avez été remboursé pour "${payment.serviceTitle}"`
+  },
+  failed: {
+    recipient: 'payerId',
+    title: 'Paiement échoué',
+    body: (payment) => `Votre paiement pour "${payment.serviceTitle}" n'a pas abouti`
+  }
+};
+
+// Changement d'état d'un paiement
+appEvents.on('payment:updated', ({ payment, event }) => {
+  const notification = PAYMENT_NOTIFICATIONS[event];
+  if (!notification) return;
+
+  safeNotify(payment[notification.recipient], 'payment', {
+    title: notification.title,
+    body: notification.body(payment),
+    data: {
+      paymentId: payment._id,
+      serviceRequestId: payment.serviceRequestId,
+      status: payment.status
+    }
+  });
+});
+
+// Versement des gains traité par l'équipe
+appEvents.on('payout:updated', ({ payout, note = '' }) => {
+  const paid = payout.status === 'paid';
+
+  safeNotify(payout.providerId, 'payment', {
+    title: paid ? 'Versement effectué' : 'Versement rejeté',
+    body: paid
+      ? `Votre versement de ${payout.amount} ${payout.currency} a été effectué`
+      : `Votre demande de versement de ${payout.amount} ${payout.currency} a été rejetée${note ? ` : ${note}` : ''}`,
+    data: {
+      payoutId: payout._id,
+      status: payout.status
+    }
+  });
+});
+
+// Nouvel avis sur un service du prestataire
+appEvents.on('review:created', (review) => {
+  safeNotify(review.providerId, 'review', {
+    title: `Nouvel avis de ${review.reviewerName}`,
+    body: `${review.rating}/5${review.comment ? ` - ${review.comment.substring(0, 100)}` : ''}`,
+    data: {
+      reviewId: review._id,
+      serviceId: review.serviceId
+    }
+  });
+});
+
+// Événements liés au compte (sécurité, profil...)
+appEvents.on('account:event', ({ userId, title, body = '', data = {} }) => {
+  safeNotify(userId, 'account', { title, body, data });
+});
+
+// Nouveau service correspondant à une recherche enregistrée (alertes instantanées)
+appEvents.on('service:created', async (service) => {
+  try {
+    const savedSearches = await SavedSearch.findMatchingInstant(service);
+
+    for (const savedSearch of savedSearches) {
+      safeNotify(savedSearch.userId, 'saved_search', {
+        title: `Nouveau service pour "${savedSearch.name}"`,
+        body: `${service.title}${service.location ? ` - ${service.location}` : ''}`,
+        data: {
+          savedSearchId: savedSearch._id,
+          serviceId: service._id
+        }
+      });
+    }
+
+    if (savedSearches.length > 0) {
+      await SavedSearch.updateMany(
+        { _id: { $in: savedSearches.map(savedSearch => savedSearch._id) } },
+        { $set: { lastNotifiedAt: new Date() } }
+      );
+    }
+  } catch (error) {
+    console.error('Erreur lors des alertes de recherches enregistrées:', error);
+  }
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+
+// Pagination par curseur : le curseur (opaque pour le client) encode la date de création
+// et l'ID du dernier élément reçu, ce qui garantit un ordre stable même si de nouveaux
+// éléments sont ajoutés entre deux pages. La pagination par numéro de page reste disponible.
+
+// Fonction pour encoder le curseur d'un document
+const encodeCursor = (doc) => Buffer
+  .from(JSON.stringify({ t: doc.createdAt.toISOString(), id: doc._id.toString() }))
+  .toString('base64url');
+
+// Fonction pour décoder un curseur (null s'il est invalide)
+const decodeCursor = (value) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validation commune des paramètres de pagination
+const paginationValidation = (maxLimit = 50) => [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: maxLimit }).toInt(),
+  query('cursor')
+    .optional()
+    .customSanitizer(decodeCursor)
+    .custom(value => value !== null)
+    .withMessage('Curseur invalide'),
+  query('includeTotal').optional().isBoolean().toBoolean()
+];
+
+// Fonction pour ajouter la condition "après le curseur" aux critères
+// (direction -1 : du plus récent au plus ancien)
+const applyCursor = (criteria, cursor, direction = -1) => {
+  if (!cursor) return criteria;
+
+  const op = direction === -1 ? '$lt' : '$gt';
+  return {
+    ...criteria,
+    $and: [
+      ...(criteria.$and || []),
+      {
+        $or: [
+          { createdAt: { [op]: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+        ]
+      }
+    ]
+  };
+};
+
+// Fonction pour découper les résultats (limit + 1 éléments demandés) et construire l'objet pagination.
+// Le total n'est calculé que si countTotal est fourni (requête de comptage paresseuse).
+const buildPage = async (items, { limit, page, cursor, withCursor = true, countTotal = null }) => {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+  const last = pageItems[pageItems.length - 1];
+
+  const pagination = {
+    count: pageItems.length,
+    hasMore,
+    nextCursor: withCursor && hasMore && last ? encodeCursor(last) : null
+  };
+
+  if (!cursor) {
+    pagination.current = page;
+  }
+
+  if (countTotal) {
+    const total = await countTotal();
+    pagination.totalItems = total;
+    if (!cursor) {
+      pagination.total = Math.ceil(total / limit);
+    }
+  }
+
+  return { items: pageItems, pagination };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginationValidation,
+  applyCursor,
+  buildPage
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { hmacHex, safeEqual } = require('./signature');
+
+// Fournisseur de paiement factice pour le développement local (refusé en production).
+// Les paiements sont confirmés immédiatement (sauf PAYMENT_FAKE_AUTO_CONFIRM=false,
+// auquel cas un webhook signé doit être envoyé à /api/payments/webhooks/fake).
+const createFakeProvider = ({
+  webhookSecret = process.env.PAYMENT_FAKE_WEBHOOK_SECRET,
+  autoConfirm = process.env.PAYMENT_FAKE_AUTO_CONFIRM !== 'false'
+} = {}) => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Le fournisseur de paiement "fake" est interdit en production');
+  }
+  if (!webhookSecret) {
+    throw new Error('PAYMENT_FAKE_WEBHOOK_SECRET est obligatoire');
+  }
+
+  return {
+    name: 'fake',
+
+    async createIntent() {
+      return {
+        providerRef: `fake_pi_${crypto.randomBytes(8).toString('hex')}`,
+        status: autoConfirm ? 'succeeded' : 'pending',
+        nextAction: autoConfirm ? null : { type: 'webhook' }
+      };
+    },
+
+    async refund() {
+      return {
+        refundRef: `fake_re_${crypto.randomBytes(8).toString('hex')}`,
+        status: 'succeeded'
+      };
+    },
+
+    // Corps attendu : { id, type, providerRef, refundRef }, signé dans l'en-tête X-Fake-Signature
+    verifyWebhook(rawBody, headers) {
+      const signature = headers['x-fake-signature'] || '';
+      if (!safeEqual(signature, hmacHex(webhookSecret, rawBody))) {
+        throw new Error('Signature du webhook invalide');
+      }
+
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: event.type,
+        providerRef: event.providerRef,
+        refundRef: event.refundRef || null
+      };
+    }
+  };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,65 @@
+const createFakeProvider = require('./fake');
+const createStripeProvider = require('./stripe');
+const createMobileMoneyProvider = require('./mobileMoney');
+
+// Fournisseurs disponibles, activés via PAYMENT_PROVIDERS (liste séparée par des virgules, obligatoire).
+// Un fournisseur doit exposer createIntent, refund et verifyWebhook, et peut être branché via setPaymentProvider.
+const drivers = {
+  fake: createFakeProvider,
+  stripe: createStripeProvider,
+  mobile_money: createMobileMoneyProvider
+};
+
+const providers = new Map();
+
+// Fournisseurs interdits en production (paiements confirmés sans encaissement réel)
+const DEVELOPMENT_ONLY = ['fake'];
+
+// Fonction pour obtenir la liste des fournisseurs activés
+const getEnabledProviders = () => {
+  const names = (process.env.PAYMENT_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    throw new Error('PAYMENT_PROVIDERS est obligatoire');
+  }
+  if (process.env.NODE_ENV === 'production') {
+    const forbidden = names.filter(name => DEVELOPMENT_ONLY.includes(name));
+    if (forbidden.length > 0) {
+      throw new Error(`Fournisseur de paiement interdit en production: ${forbidden.join(', ')}`);
+    }
+  }
+
+  return names;
+};
+
+// Fonction pour obtenir un fournisseur de paiement (le premier activé par défaut)
+const getPaymentProvider = (name = getEnabledProviders()[0]) => {
+  if (!providers.has(name)) {
+    if (!getEnabledProviders().includes(name) || !drivers[name]) {
+      throw new Error(`Fournisseur de paiement inconnu: ${name}`);
+    }
+    providers.set(name, drivers[name]());
+  }
+  return providers.get(name);
+};
+
+// Fonction pour vérifier la configuration au démarrage (liste et secrets de chaque fournisseur activé)
+const assertPaymentConfig = () => {
+  getEnabledProviders().forEach(name => getPaymentProvider(name));
+};
+
+// Fonction pour remplacer un fournisseur (fournisseur réel, tests...)
+const setPaymentProvider = (name, customProvider) => {
+  providers.set(name, customProvider);
+};
+
+module.exports = {
+  getEnabledProviders,
+  getPaymentProvider,
+  setPaymentProvider,
+  assertPaymentConfig,
+  drivers
+};
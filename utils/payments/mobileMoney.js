@@ -0,0 +1,91 @@
+const { hmacHex, safeEqual } = require('./signature');
+
+// Fournisseur de paiement mobile money (agrégateur type Orange Money / MTN MoMo).
+// Le client valide le paiement sur son téléphone ; le résultat arrive par webhook.
+const createMobileMoneyProvider = ({
+  apiUrl = process.env.MOBILE_MONEY_API_URL,
+  apiKey = process.env.MOBILE_MONEY_API_KEY,
+  webhookSecret = process.env.MOBILE_MONEY_WEBHOOK_SECRET,
+  callbackUrl = process.env.MOBILE_MONEY_CALLBACK_URL
+} = {}) => {
+  if (!apiUrl || !apiKey || !webhookSecret) {
+    throw new Error('MOBILE_MONEY_API_URL, MOBILE_MONEY_API_KEY et MOBILE_MONEY_WEBHOOK_SECRET sont obligatoires');
+  }
+
+  // Fonction pour appeler l'API de l'agrégateur
+  const request = async (path, payload) => {
+    const response = await fetch(new URL(path, apiUrl), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Erreur mobile money: ${data.message || `HTTP ${response.status}`}`);
+    }
+    return data;
+  };
+
+  return {
+    name: 'mobile_money',
+
+    async createIntent({ amount, currency, reference, customer }) {
+      if (!customer.phone) {
+        throw new Error('Un numéro de téléphone est nécessaire pour le paiement mobile');
+      }
+
+      const payment = await request('/payments', {
+        amount,
+        currency,
+        reference,
+        phone: customer.phone,
+        callbackUrl
+      });
+
+      return {
+        providerRef: payment.id,
+        status: payment.status === 'succeeded' ? 'succeeded' : payment.status === 'failed' ? 'failed' : 'pending',
+        nextAction: {
+          type: 'mobile_confirmation',
+          message: 'Validez le paiement sur votre téléphone'
+        }
+      };
+    },
+
+    async refund({ providerRef, amount, reference }) {
+      const refund = await request('/refunds', {
+        paymentId: providerRef,
+        amount,
+        reference
+      });
+
+      return {
+        refundRef: refund.id,
+        status: ['succeeded', 'failed'].includes(refund.status) ? refund.status : 'pending'
+      };
+    },
+
+    // Corps signé (HMAC-SHA256 hexadécimal) dans l'en-tête X-Signature
+    verifyWebhook(rawBody, headers) {
+      const signature = headers['x-signature'] || '';
+      if (!safeEqual(signature, hmacHex(webhookSecret, rawBody))) {
+        throw new Error('Signature du webhook invalide');
+      }
+
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: event.event,
+        providerRef: event.data && event.data.paymentId,
+        refundRef: event.data && event.data.refundId
+      };
+    }
+  };
+};
+
+module.exports = createMobileMoneyProvider;
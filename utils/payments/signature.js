@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+
+// Fonction pour calculer une signature HMAC-SHA256 (hexadécimale)
+const hmacHex = (secret, payload) => crypto
+  .createHmac('sha256', secret)
+  .update(payload)
+  .digest('hex');
+
+// Fonction pour comparer deux signatures en temps constant
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Fonction pour convertir un montant en unités mineures (centimes)
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+module.exports = {
+  hmacHex,
+  safeEqual,
+  toMinorUnits
+};
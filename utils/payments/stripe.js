@@ -0,0 +1,116 @@
+const { hmacHex, safeEqual, toMinorUnits } = require('./signature');
+
+// Correspondance des statuts Stripe vers les statuts internes
+const INTENT_STATUSES = {
+  succeeded: 'succeeded',
+  canceled: 'failed'
+};
+
+// Fournisseur de paiement par carte basé sur l'API Stripe (PaymentIntents)
+const createStripeProvider = ({
+  secretKey = process.env.STRIPE_SECRET_KEY,
+  webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+  apiUrl = process.env.STRIPE_API_URL || 'https://api.stripe.com',
+  tolerance = 300
+} = {}) => {
+  if (!secretKey || !webhookSecret) {
+    throw new Error('STRIPE_SECRET_KEY et STRIPE_WEBHOOK_SECRET sont obligatoires');
+  }
+
+  // Fonction pour appeler l'API Stripe (paramètres encodés en formulaire)
+  const request = async (path, params, idempotencyKey) => {
+    const response = await fetch(new URL(path, apiUrl), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Idempotency-Key': idempotencyKey
+      },
+      body: new URLSearchParams(params),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`Erreur Stripe: ${data.error ? data.error.message : `HTTP ${response.status}`}`);
+    }
+    return data;
+  };
+
+  return {
+    name: 'stripe',
+
+    async createIntent({ amount, currency, reference }) {
+      const intent = await request('/v1/payment_intents', {
+        amount: toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        'automatic_payment_methods[enabled]': 'true',
+        'metadata[reference]': reference
+      }, `intent-${reference}`);
+
+      return {
+        providerRef: intent.id,
+        status: INTENT_STATUSES[intent.status] || 'pending',
+        nextAction: { type: 'client_secret', clientSecret: intent.client_secret }
+      };
+    },
+
+    async refund({ providerRef, amount, reference }) {
+      const refund = await request('/v1/refunds', {
+        payment_intent: providerRef,
+        amount: toMinorUnits(amount),
+        'metadata[reference]': reference
+      }, `refund-${reference}`);
+
+      return {
+        refundRef: refund.id,
+        status: ['succeeded', 'failed'].includes(refund.status) ? refund.status : 'pending'
+      };
+    },
+
+    // En-tête Stripe-Signature : "t=<timestamp>,v1=<signature>[,v1=...]"
+    verifyWebhook(rawBody, headers) {
+      const elements = String(headers['stripe-signature'] || '').split(',').map(part => part.split('='));
+      const timestamp = (elements.find(([key]) => key === 't') || [])[1];
+      const signatures = elements.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+      if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+        throw new Error('Horodatage du webhook invalide');
+      }
+
+      const expected = hmacHex(webhookSecret, `${timestamp}.${rawBody}`);
+      if (!signatures.some(signature => safeEqual(signature, expected))) {
+        throw new Error('Signature du webhook invalide');
+      }
+
+      const event = JSON.parse(rawBody);
+      const object = event.data.object;
+
+      switch (event.type) {
+        case 'payment_intent.succeeded':
+          return { id: event.id, type: 'payment.succeeded', providerRef: object.id };
+        // Tentative refusée : l'intent revient à "requires_payment_method" et peut encore aboutir
+        case 'payment_intent.payment_failed':
+          return {
+            id: event.id,
+            type: 'payment.attempt_failed',
+            providerRef: object.id,
+            reason: object.last_payment_error ? object.last_payment_error.message : ''
+          };
+        case 'payment_intent.canceled':
+          return { id: event.id, type: 'payment.failed', providerRef: object.id };
+        case 'refund.updated':
+          return {
+            id: event.id,
+            type: object.status === 'succeeded' ? 'refund.succeeded' : object.status === 'failed' ? 'refund.failed' : null,
+            providerRef: object.payment_intent,
+            refundRef: object.id
+          };
+        default:
+          return { id: event.id, type: null };
+      }
+    }
+  };
+};
+
+module.exports = createStripeProvider;
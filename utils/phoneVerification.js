@@ -0,0 +1,14 @@
+const OtpCode = require('../models/OtpCode');
+const { sendSms } = require('./sms');
+
+// Fonction pour envoyer un code de vérification au numéro de l'utilisateur
+const sendPhoneVerificationCode = async (user) => {
+  const { code } = await OtpCode.issue(user.phone, 'phone_verification', user._id);
+  const minutes = Math.round(OtpCode.CODE_TTL / 60000);
+
+  await sendSms(user.phone, `Service Connect : votre code de vérification est ${code}. Il expire dans ${minutes} minutes.`);
+};
+
+module.exports = {
+  sendPhoneVerificationCode
+};
@@ -0,0 +1,57 @@
+const Service = require('../models/Service');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+
+const DIGEST_PERIOD = 24 * 60 * 60 * 1000; // un résumé par jour au maximum
+const CHECK_INTERVAL = 60 * 60 * 1000; // vérification toutes les heures
+
+// Fonction pour envoyer les résumés quotidiens des recherches enregistrées
+const runDigest = async () => {
+  const dueBefore = new Date(Date.now() - DIGEST_PERIOD);
+  const savedSearches = await SavedSearch.find({
+    frequency: 'daily',
+    lastNotifiedAt: { $lte: dueBefore }
+  });
+
+  let sent = 0;
+  for (const savedSearch of savedSearches) {
+    const now = new Date();
+    const count = await Service.countDocuments(savedSearch.toServiceCriteria(savedSearch.lastNotifiedAt));
+
+    if (count > 0) {
+      await Notification.notify(savedSearch.userId, 'saved_search', {
+        title: `${count} nouveau${count > 1 ? 'x' : ''} service${count > 1 ? 's' : ''} pour "${savedSearch.name}"`,
+        body: 'Consultez les derniers services correspondant à votre recherche',
+        data: {
+          savedSearchId: savedSearch._id,
+          since: savedSearch.lastNotifiedAt,
+          count
+        }
+      });
+      sent += 1;
+    }
+
+    savedSearch.lastNotifiedAt = now;
+    await savedSearch.save();
+  }
+
+  return sent;
+};
+
+// Fonction pour démarrer la vérification périodique des résumés
+const startDigestScheduler = (interval = CHECK_INTERVAL) => {
+  const timer = setInterval(() => {
+    runDigest().catch(error => {
+      console.error('Erreur lors de l\'envoi des résumés de recherches:', error);
+    });
+  }, interval);
+
+  // Ne pas empêcher l'arrêt du processus
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runDigest,
+  startDigestScheduler
+};
@@ -0,0 +1,160 @@
+// Calcul des créneaux de disponibilité des prestataires.
+// Les horaires sont saisis en heure locale du prestataire ("HH:MM", dates "YYYY-MM-DD")
+// et convertis en dates UTC selon son fuseau horaire.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Fonction pour vérifier qu'un fuseau horaire est reconnu
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('fr-FR', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Fonction pour convertir "HH:MM" en minutes depuis minuit
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Fonction pour obtenir le décalage (en ms) d'un fuseau horaire à un instant donné
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).reduce((values, part) => {
+    values[part.type] = part.value;
+    return values;
+  }, {});
+
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Fonction pour convertir une date et une heure locales en date UTC
+const zonedToUtc = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day) + minutes * MINUTE;
+
+  // Deux passes pour tenir compte des changements d'heure
+  const firstOffset = getTimeZoneOffset(guess, timeZone);
+  let timestamp = guess - firstOffset;
+  const secondOffset = getTimeZoneOffset(timestamp, timeZone);
+  if (secondOffset !== firstOffset) {
+    timestamp = guess - secondOffset;
+  }
+
+  return new Date(timestamp);
+};
+
+// Fonction pour obtenir la date locale ("YYYY-MM-DD") d'un instant dans un fuseau horaire
+const toLocalDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// Fonction pour ajouter des jours à une date locale "YYYY-MM-DD"
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY).toISOString().substring(0, 10);
+};
+
+// Fonction pour obtenir le jour de la semaine (0 = dimanche) d'une date locale
+const weekdayOf = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Fonction pour vérifier si deux intervalles se chevauchent
+const overlaps = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+// Fonction pour vérifier qu'une liste de plages horaires est cohérente (début < fin, sans chevauchement)
+const validateRanges = (ranges) => {
+  const sorted = [...ranges]
+    .map(range => ({ start: toMinutes(range.start), end: toMinutes(range.end) }))
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.every((range, index) =>
+    range.start < range.end && (index === 0 || sorted[index - 1].end <= range.start)
+  );
+};
+
+// Fonction pour calculer les créneaux libres entre deux dates locales (incluses)
+// bookings : réservations existantes [{ start, end }] (dates UTC)
+const computeSlots = ({ availability, duration, from, to, bookings = [], now = new Date() }) => {
+  const { timezone, slotInterval, bufferMinutes, minNoticeHours, maxAdvanceDays } = availability;
+  const earliest = now.getTime() + minNoticeHours * 60 * MINUTE;
+  const latest = now.getTime() + maxAdvanceDays * DAY;
+  const buffer = bufferMinutes * MINUTE;
+
+  const busy = bookings.map(booking => ({
+    start: new Date(booking.start).getTime() - buffer,
+    end: new Date(booking.end).getTime() + buffer
+  }));
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const slots = [];
+
+    availability.getRangesForDate(date, weekdayOf(date)).forEach(range => {
+      const rangeEnd = toMinutes(range.end);
+
+      for (let minutes = toMinutes(range.start); minutes + duration <= rangeEnd; minutes += slotInterval) {
+        const start = zonedToUtc(date, minutes, timezone);
+        const end = new Date(start.getTime() + duration * MINUTE);
+
+        if (start.getTime() < earliest || start.getTime() > latest) continue;
+        if (busy.some(booking => overlaps(start.getTime(), end.getTime(), booking.start, booking.end))) continue;
+
+        slots.push({ start, end });
+      }
+    });
+
+    days.push({ date, slots });
+  }
+
+  return days;
+};
+
+// Fonction pour vérifier qu'un créneau précis est proposé par le calendrier et libre
+const isSlotAvailable = ({ availability, duration, start, bookings = [], now = new Date() }) => {
+  const date = toLocalDate(start, availability.timezone);
+  const [day] = computeSlots({ availability, duration, from: date, to: date, bookings, now });
+  return day.slots.some(slot => slot.start.getTime() === start.getTime());
+};
+
+module.exports = {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimeZone,
+  validateRanges,
+  zonedToUtc,
+  toLocalDate,
+  addDays,
+  overlaps,
+  computeSlots,
+  isSlotAvailable
+};
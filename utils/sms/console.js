@@ -0,0 +1,15 @@
+// Fonction pour masquer les codes (suites de 4 chiffres ou plus) d'un message
+const maskCodes = (body) => body.replace(/\d{4,}/g, (digits) => '•'.repeat(digits.length));
+
+// Transport SMS de développement : affiche les messages dans la console, codes masqués
+// (utiliser le transport "file" pour les lire en local)
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(to, body) {
+    console.log(`📱 SMS vers ${to}: ${maskCodes(body)}`);
+    return { id: `console-${Date.now()}`, to };
+  }
+});
+
+module.exports = createConsoleTransport;
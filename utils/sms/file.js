@@ -0,0 +1,25 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transport SMS de test : ajoute chaque message (JSON par ligne) dans un fichier
+const createFileTransport = ({
+  filePath = process.env.SMS_LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'sms.log')
+} = {}) => ({
+  name: 'file',
+  filePath,
+
+  async send(to, body) {
+    const entry = {
+      id: `file-${Date.now()}`,
+      to,
+      body,
+      sentAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    return { id: entry.id, to };
+  }
+});
+
+module.exports = createFileTransport;
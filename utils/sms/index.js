@@ -0,0 +1,60 @@
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createTwilioTransport = require('./twilio');
+
+// Transports disponibles, sélectionnés via SMS_DRIVER (obligatoire).
+// Un autre fournisseur doit exposer send(to, body) et peut être branché via setSmsTransport.
+const drivers = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  twilio: createTwilioTransport
+};
+
+// Transports qui n'envoient aucun SMS réel (refusés en production)
+const DEVELOPMENT_ONLY = ['console', 'file'];
+
+let transport = null;
+
+// Fonction pour obtenir le nom du transport configuré
+const getSmsDriver = () => {
+  const driver = process.env.SMS_DRIVER;
+  if (!driver) {
+    throw new Error('SMS_DRIVER est obligatoire');
+  }
+  if (!drivers[driver]) {
+    throw new Error(`Transport SMS inconnu: ${driver}`);
+  }
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_ONLY.includes(driver)) {
+    throw new Error(`Transport SMS interdit en production: ${driver}`);
+  }
+  return driver;
+};
+
+// Fonction pour obtenir le transport SMS configuré
+const getSmsTransport = () => {
+  if (!transport) {
+    transport = drivers[getSmsDriver()]();
+  }
+  return transport;
+};
+
+// Fonction pour remplacer le transport (fournisseur réel, tests...)
+const setSmsTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Fonction pour vérifier la configuration au démarrage (erreur plutôt qu'au premier envoi)
+const assertSmsConfig = () => {
+  getSmsTransport();
+};
+
+// Fonction pour envoyer un SMS avec le transport configuré
+const sendSms = (to, body) => getSmsTransport().send(to, body);
+
+module.exports = {
+  getSmsTransport,
+  setSmsTransport,
+  assertSmsConfig,
+  sendSms,
+  drivers
+};
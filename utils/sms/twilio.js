@@ -0,0 +1,37 @@
+// Transport SMS de production basé sur l'API Twilio (Programmable Messaging)
+const createTwilioTransport = ({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  from = process.env.TWILIO_FROM,
+  apiUrl = process.env.TWILIO_API_URL || 'https://api.twilio.com'
+} = {}) => {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN et TWILIO_FROM sont obligatoires');
+  }
+
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+
+    async send(to, body) {
+      const response = await fetch(new URL(`/2010-04-01/Accounts/${accountSid}/Messages.json`, apiUrl), {
+        method: 'POST',
+        headers: {
+          Authorization: authorization,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }),
+        signal: AbortSignal.timeout(10000)
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Erreur Twilio: ${data.message || `HTTP ${response.status}`}`);
+      }
+      return { id: data.sid, to };
+    }
+  };
+};
+
+module.exports = createTwilioTransport;
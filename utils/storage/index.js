@@ -0,0 +1,33 @@
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+// Backends disponibles, sélectionnés via STORAGE_DRIVER (local par défaut)
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage = null;
+
+// Fonction pour obtenir le backend de stockage configuré
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Backend de stockage inconnu: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+// Fonction pour remplacer le backend (autre fournisseur, tests...)
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  drivers
+};
@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stockage sur disque local, servi en statique par Express sous /uploads
+const createLocalStorage = ({
+  directory = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+  publicUrl = process.env.UPLOAD_PUBLIC_URL || '/uploads'
+} = {}) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    // Empêcher toute écriture hors du dossier d'upload
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error('Clé de fichier invalide');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return this.getUrl(key);
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    getUrl(key) {
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,57 @@
+// Stockage compatible S3 (AWS S3, MinIO en local...)
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  publicUrl = process.env.S3_PUBLIC_URL
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET est obligatoire pour le stockage S3');
+  }
+
+  // Chargé à la demande : le SDK n'est nécessaire qu'avec ce backend
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO et la plupart des stand-ins n'acceptent que l'adressage par chemin
+    forcePathStyle: !!endpoint,
+    credentials: accessKeyId && secretAccessKey
+      ? { accessKeyId, secretAccessKey }
+      : undefined
+  });
+
+  const baseUrl = (publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return this.getUrl(key);
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,104 @@
+const Service = require('../models/Service');
+const createCache = require('./cache');
+const { foldText, escapeRegex } = require('./text');
+
+// Nombre de services candidats examinés pour construire les suggestions
+const CANDIDATES_LIMIT = 100;
+
+// Les préfixes fréquents sont servis depuis la mémoire pendant une minute
+const cache = createCache({
+  max: parseInt(process.env.SUGGEST_CACHE_SIZE, 10) || 1000,
+  ttl: (parseInt(process.env.SUGGEST_CACHE_TTL, 10) || 60) * 1000
+});
+
+// Fonction pour vérifier si un texte (ou l'un de ses mots) commence par le préfixe
+const matchesPrefix = (value, prefix) => {
+  const folded = foldText(value);
+  return folded.startsWith(prefix) || folded.split(/[\s\-'’]+/).some(word => word.startsWith(prefix));
+};
+
+// Fonction pour trier des suggestions par popularité décroissante et les limiter
+const top = (map, limit) => [...map.values()]
+  .sort((a, b) => b.popularity - a.popularity)
+  .slice(0, limit);
+
+// Fonction pour calculer les suggestions d'un préfixe (titres, tags, catégories, prestataires)
+const computeSuggestions = async (prefix, limit) => {
+  const candidates = await Service.aggregate([
+    {
+      $match: {
+        isActive: true,
+        suggestTerms: { $regex: `^${escapeRegex(prefix)}` }
+      }
+    },
+    { $addFields: { popularity: { $add: ['$views', { $multiply: ['$requests', 5] }] } } },
+    { $sort: { popularity: -1, createdAt: -1 } },
+    { $limit: CANDIDATES_LIMIT },
+    { $project: { title: 1, tags: 1, category: 1, userId: 1, userName: 1, popularity: 1 } }
+  ]);
+
+  const titles = new Map();
+  const tags = new Map();
+  const categories = new Map();
+  const providers = new Map();
+
+  // Les catégories sont une liste fixe : elles sont proposées même sans service correspondant
+  Service.CATEGORIES
+    .filter(category => matchesPrefix(category, prefix))
+    .forEach(category => categories.set(category, { value: category, popularity: 0 }));
+
+  candidates.forEach(service => {
+    if (matchesPrefix(service.title, prefix) && !titles.has(service.title)) {
+      titles.set(service.title, {
+        value: service.title,
+        serviceId: service._id,
+        popularity: service.popularity
+      });
+    }
+
+    (service.tags || []).forEach(tag => {
+      if (!matchesPrefix(tag, prefix)) return;
+      const key = foldText(tag);
+      const entry = tags.get(key) || { value: tag, popularity: 0 };
+      entry.popularity += service.popularity;
+      tags.set(key, entry);
+    });
+
+    if (categories.has(service.category)) {
+      categories.get(service.category).popularity += service.popularity;
+    }
+
+    if (matchesPrefix(service.userName, prefix)) {
+      const key = service.userId.toString();
+      const entry = providers.get(key) || { value: service.userName, userId: service.userId, popularity: 0 };
+      entry.popularity += service.popularity;
+      providers.set(key, entry);
+    }
+  });
+
+  return {
+    titles: top(titles, limit),
+    tags: top(tags, limit),
+    categories: top(categories, limit),
+    providers: top(providers, limit)
+  };
+};
+
+// Fonction pour obtenir les suggestions d'une saisie (avec cache des préfixes fréquents)
+const getSuggestions = async (query, limit = 5) => {
+  const prefix = foldText(query);
+  if (!prefix) {
+    return { titles: [], tags: [], categories: [], providers: [] };
+  }
+
+  const key = `${limit}:${prefix}`;
+  const cached = cache.get(key);
+  if (cached) return cached;
+
+  return cache.set(key, await computeSuggestions(prefix, limit));
+};
+
+module.exports = {
+  getSuggestions,
+  cache
+};
@@ -0,0 +1,16 @@
+// Fonction pour normaliser un texte français : minuscules, sans accents ni espaces superflus
+// ("Électricité" -> "electricite")
+const foldText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Fonction pour échapper les caractères spéciaux d'une expression régulière
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  foldText,
+  escapeRegex
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+const FILE_TYPES = {
+  ...IMAGE_TYPES,
+  'application/pdf': 'pdf',
+  'text/plain': 'txt',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+// Justificatifs de vérification des prestataires (photo ou scan PDF)
+const DOCUMENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+const THUMBNAIL_SIZE = 320;
+
+// Profils d'upload : types autorisés, taille maximale et nombre de fichiers
+const PROFILES = {
+  avatar: { types: IMAGE_TYPES, maxSize: 2 * 1024 * 1024, maxCount: 1 },
+  serviceImages: { types: IMAGE_TYPES, maxSize: 5 * 1024 * 1024, maxCount: 5 },
+  attachments: { types: FILE_TYPES, maxSize: 10 * 1024 * 1024, maxCount: 5 },
+  verificationDocument: { types: DOCUMENT_TYPES, maxSize: 5 * 1024 * 1024, maxCount: 1 }
+};
+
+const isImage = (mimeType) => Object.prototype.hasOwnProperty.call(IMAGE_TYPES, mimeType);
+
+// Middleware pour recevoir les fichiers d'un champ multipart selon un profil
+// (les erreurs multer sont converties au format JSON de l'API)
+const receiveFiles = (profileName, field) => {
+  const profile = PROFILES[profileName];
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: profile.maxSize,
+      files: profile.maxCount
+    },
+    fileFilter: (req, file, cb) => {
+      if (!profile.types[file.mimetype]) {
+        const error = new Error(`Type de fichier non autorisé: ${file.mimetype}`);
+        error.status = 415;
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).array(field, profile.maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.files || req.files.length === 0) {
+          return res.status(400).json({
+            error: true,
+            message: 'Aucun fichier reçu'
+          });
+        }
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: true,
+          message: `Fichier trop volumineux (maximum ${Math.round(profile.maxSize / (1024 * 1024))} Mo)`
+        });
+      }
+
+      if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          error: true,
+          message: `${profile.maxCount} fichier(s) maximum dans le champ "${field}"`
+        });
+      }
+
+      res.status(error.status || 400).json({
+        error: true,
+        message: error.message
+      });
+    });
+  };
+};
+
+// Fonction pour générer une clé de stockage unique
+const generateKey = (folder, extension) => {
+  const random = crypto.randomBytes(8).toString('hex');
+  return `${folder}/${Date.now()}-${random}.${extension}`;
+};
+
+// Signatures (premiers octets) des documents conservés tels quels
+const FILE_SIGNATURES = {
+  'application/pdf': Buffer.from('%PDF-', 'latin1'),
+  'application/msword': Buffer.from('d0cf11e0a1b11ae1', 'hex'),
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': Buffer.from('504b0304', 'hex')
+};
+
+// Fonction pour vérifier le contenu réel d'un fichier conservé tel quel
+// (image décodable, signature du document, texte sans octet nul)
+const assertFileContent = async (file) => {
+  const filename = path.basename(file.originalname);
+  const signature = FILE_SIGNATURES[file.mimetype];
+  let valid = true;
+
+  if (isImage(file.mimetype)) {
+    try {
+      await sharp(file.buffer).metadata();
+    } catch (error) {
+      valid = false;
+    }
+  } else if (signature) {
+    valid = file.buffer.subarray(0, signature.length).equals(signature);
+  } else if (file.mimetype === 'text/plain') {
+    valid = !file.buffer.includes(0);
+  }
+
+  if (!valid) {
+    const invalidFile = new Error(`Fichier invalide: ${filename}`);
+    invalidFile.status = 400;
+    throw invalidFile;
+  }
+};
+
+// Fonction pour supprimer des fichiers déjà stockés (nettoyage après un échec)
+const removeKeys = (keys) => Promise.all(keys.map(key => getStorage().remove(key).catch(error => {
+  console.error('Erreur lors de la suppression d\'un fichier:', error);
+})));
+
+// Fonction pour stocker un fichier reçu et sa miniature éventuelle
+// (result.keys liste les clés stockées, sans être exposé par l'API)
+const storeFile = async (file, folder) => {
+  const storage = getStorage();
+  const extension = FILE_TYPES[file.mimetype];
+  const key = generateKey(folder, extension);
+
+  const result = {
+    type: isImage(file.mimetype) ? 'image' : 'file',
+    filename: path.basename(file.originalname),
+    mimeType: file.mimetype,
+    size: file.size,
+    url: null,
+    thumbnailUrl: null,
+    keys: []
+  };
+
+  let thumbnail = null;
+  if (result.type === 'image') {
+    // Décoder l'image valide son contenu réel (pas seulement le type déclaré)
+    try {
+      thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      const invalidImage = new Error(`Image invalide: ${result.filename}`);
+      invalidImage.status = 400;
+      throw invalidImage;
+    }
+  } else {
+    await assertFileContent(file);
+  }
+
+  try {
+    if (thumbnail) {
+      const thumbnailKey = key.replace(/\.[^.]+$/, '-thumb.webp');
+      result.thumbnailUrl = await storage.put(thumbnailKey, thumbnail, 'image/webp');
+      result.keys.push(thumbnailKey);
+    }
+
+    result.url = await storage.put(key, file.buffer, file.mimetype);
+    result.keys.push(key);
+  } catch (error) {
+    await removeKeys(result.keys);
+    throw error;
+  }
+
+  return result;
+};
+
+// Fonction pour stocker plusieurs fichiers (tout ou rien : en cas d'échec, les fichiers déjà stockés sont supprimés)
+const storeFiles = async (files, folder) => {
+  const results = await Promise.allSettled(files.map(file => storeFile(file, folder)));
+  const failure = results.find(outcome => outcome.status === 'rejected');
+
+  if (failure) {
+    await removeKeys(results
+      .filter(outcome => outcome.status === 'fulfilled')
+      .flatMap(outcome => outcome.value.keys));
+    throw failure.reason;
+  }
+
+  return results.map(outcome => outcome.value);
+};
+
+module.exports = {
+  receiveFiles,
+  storeFile,
+  storeFiles,
+  assertFileContent,
+  PROFILES
+};
@@ -0,0 +1,81 @@
+const User = require('../models/User');
+const VerificationDocument = require('../models/VerificationDocument');
+
+// Libellés des justificatifs (notifications)
+const DOCUMENT_LABELS = {
+  identity: 'pièce d\'identité',
+  business_registration: 'justificatif d\'immatriculation',
+  insurance: 'attestation d\'assurance'
+};
+
+// Justificatifs requis pour le badge "verified_pro" (en plus de l'identité)
+const PRO_DOCUMENT_TYPES = ['business_registration', 'insurance'];
+
+// Fonction pour obtenir la première date de fin de validité d'un ensemble de documents
+const earliestExpiry = (documents) => documents
+  .map(document => document.expiresAt)
+  .filter(Boolean)
+  .sort((a, b) => a - b)[0] || null;
+
+// Fonction pour recalculer la vérification d'un prestataire à partir de ses documents validés
+const refreshVerification = async (userId) => {
+  const approved = await VerificationDocument.getApprovedByType(userId);
+  const identity = approved.identity;
+  const proDocuments = PRO_DOCUMENT_TYPES.map(type => approved[type]);
+  const isPro = Boolean(identity) && proDocuments.every(Boolean);
+
+  const verification = {
+    identityVerifiedAt: identity ? identity.reviewedAt : null,
+    identityExpiresAt: identity ? identity.expiresAt : null,
+    proVerifiedAt: isPro
+      ? new Date(Math.max(identity.reviewedAt, ...proDocuments.map(document => document.reviewedAt)))
+      : null,
+    proExpiresAt: isPro ? earliestExpiry([identity, ...proDocuments]) : null
+  };
+
+  return User.findByIdAndUpdate(userId, { $set: { verification } }, { new: true });
+};
+
+// Fonction pour obtenir l'état de vérification d'un prestataire (dernier document de chaque type)
+const getVerificationStatus = async (user) => {
+  const documents = await VerificationDocument.find({ userId: user._id }).sort({ createdAt: -1 });
+
+  const requirements = VerificationDocument.TYPES.map(type => {
+    const latest = documents.find(document => document.type === type) || null;
+    let status = latest ? latest.status : 'missing';
+    if (latest && latest.status === 'approved' && !latest.isValid()) status = 'expired';
+
+    return {
+      type,
+      status,
+      document: latest ? latest.toPublic() : null
+    };
+  });
+
+  return {
+    badges: user.getBadges(),
+    verifiedAt: user.verification ? user.verification.identityVerifiedAt : null,
+    requirements,
+    documents: documents.map(document => document.toPublic())
+  };
+};
+
+// Fonction pour envoyer le contenu d'un justificatif (jamais mis en cache)
+const sendVerificationDocument = (res, document) => {
+  res.set({
+    'Content-Type': document.mimeType,
+    'Content-Length': document.content.length,
+    'Content-Disposition': `inline; filename="${encodeURIComponent(document.filename)}"`,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(document.content);
+};
+
+module.exports = {
+  DOCUMENT_LABELS,
+  PRO_DOCUMENT_TYPES,
+  refreshVerification,
+  getVerificationStatus,
+  sendVerificationDocument
+};